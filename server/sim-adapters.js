@@ -0,0 +1,254 @@
+/**
+ * Simulator adapters for the sim-bridge, turning X-Plane UDP data output,
+ * FlightGear generic protocol lines and NMEA 0183 sentences into the same
+ * telemetry format as the SimConnect proxy (see AircraftData in
+ * src/simconnect.js). Adapters only fill in what their feed reports.
+ */
+
+const FEET_TO_METERS = 0.3048;
+const FPS_TO_FPM = 60;
+const KMH_TO_KNOTS = 1 / 1.852;
+const XPLANE_UNUSED = -999;
+
+/**
+ * Parse an X-Plane "DATA" packet from the Data Output screen
+ * @param {Buffer} buffer - UDP datagram
+ * @returns {Object|null} Row values keyed by data index, 8 floats each
+ */
+export function parseXPlaneData(buffer) {
+  if (buffer.length < 5 || buffer.toString('ascii', 0, 4) !== 'DATA') {
+    return null;
+  }
+
+  const rows = {};
+  for (let offset = 5; offset + 36 <= buffer.length; offset += 36) {
+    const index = buffer.readInt32LE(offset);
+    rows[index] = Array.from({ length: 8 }, (_, i) =>
+      buffer.readFloatLE(offset + 4 + i * 4)
+    );
+  }
+  return rows;
+}
+
+/**
+ * Parse and checksum one NMEA 0183 sentence
+ * @param {string} line - Sentence, e.g. $GPRMC,...*hh
+ * @returns {Object|null} {type, fields} with the talker ID stripped
+ */
+export function parseNMEASentence(line) {
+  const text = line.trim();
+  const m = text.match(/^\$([A-Z]{2})([A-Z]{3}),([^*]*)(?:\*([\dA-F]{2}))?$/i);
+  if (!m) return null;
+
+  if (m[4]) {
+    let checksum = 0;
+    for (const char of text.slice(1, text.indexOf('*'))) {
+      checksum ^= char.charCodeAt(0);
+    }
+    if (checksum !== parseInt(m[4], 16)) return null;
+  }
+  return { type: m[2].toUpperCase(), fields: m[3].split(',') };
+}
+
+/**
+ * Convert an NMEA ddmm.mmmm coordinate to degrees
+ * @param {string} value - Coordinate, e.g. 3737.1234
+ * @param {string} hemisphere - N, S, E or W
+ * @returns {number|null} Signed degrees
+ */
+function nmeaDegrees(value, hemisphere) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return null;
+  const degrees = Math.floor(number / 100);
+  const result = degrees + (number - degrees * 100) / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -result : result;
+}
+
+function numberOrNull(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Base class for simulator adapters, merging partial updates from the feed
+ * into the latest telemetry sample
+ */
+export class SimAdapter {
+  constructor(name, title) {
+    this.name = name;
+    this.title = title;
+    this.data = null;
+    this.lastReceived = null;
+  }
+
+  /**
+   * Feed one message from the simulator
+   * @param {Buffer|string} message - Datagram or text line
+   */
+  receive(message) {
+    const update = this.parse(message);
+    if (!update) return;
+    this.data = { ...this.data, ...update };
+    this.lastReceived = Date.now();
+  }
+
+  /**
+   * Parse one message, implemented by each adapter
+   * @returns {Object|null} Telemetry fields reported by the message
+   */
+  parse() {
+    return null;
+  }
+
+  /**
+   * Latest telemetry sample
+   * @param {number} timeoutMs - Report disconnected after this long without data
+   * @returns {Object} Telemetry in the SimConnect proxy format
+   */
+  sample(timeoutMs = 10000) {
+    const position =
+      this.data?.latitude != null && this.data?.longitude != null;
+    if (!position) return { connected: false };
+    return {
+      title: this.title,
+      ...this.data,
+      connected: Date.now() - this.lastReceived < timeoutMs,
+      last_update: this.lastReceived / 1000,
+    };
+  }
+}
+
+/**
+ * X-Plane 11/12 UDP data output, with rows 3 (speeds), 4 (Mach, VVI),
+ * 17 (pitch, roll, headings), 18 (AoA, side-slip, paths) and
+ * 20 (latitude, longitude, altitude) enabled
+ */
+export class XPlaneAdapter extends SimAdapter {
+  constructor() {
+    super('xplane', 'X-Plane');
+  }
+
+  parse(buffer) {
+    const rows = parseXPlaneData(buffer);
+    if (!rows) return null;
+
+    const value = (index, field) => {
+      const v = rows[index]?.[field];
+      return v == null || v === XPLANE_UNUSED ? undefined : v;
+    };
+    const update = {
+      latitude: value(20, 0),
+      longitude: value(20, 1),
+      altitude:
+        value(20, 2) != null ? value(20, 2) * FEET_TO_METERS : undefined,
+      indicated_airspeed: value(3, 0),
+      true_airspeed: value(3, 2),
+      ground_speed: value(3, 3),
+      vertical_speed: value(4, 2),
+      heading: value(17, 2),
+      track: value(18, 2),
+    };
+    Object.keys(update).forEach((key) => {
+      if (update[key] === undefined) delete update[key];
+    });
+    return Object.keys(update).length ? update : null;
+  }
+}
+
+/**
+ * FlightGear generic protocol output, one line per sample as defined in
+ * server/flightgear/moving-map.xml
+ */
+export class FlightGearAdapter extends SimAdapter {
+  constructor() {
+    super('flightgear', 'FlightGear');
+  }
+
+  parse(line) {
+    const fields = String(line).trim().split(',');
+    if (fields.length < 10) return null;
+
+    const [lat, lon, altFt, heading, ias, tas, gs, vsFps, track, wow] = fields
+      .slice(0, 10)
+      .map(parseFloat);
+    if (isNaN(lat) || isNaN(lon)) return null;
+
+    const description = fields.slice(10).join(',').trim();
+    return {
+      latitude: lat,
+      longitude: lon,
+      altitude: altFt * FEET_TO_METERS,
+      heading,
+      indicated_airspeed: ias,
+      true_airspeed: tas,
+      ground_speed: gs,
+      vertical_speed: vsFps * FPS_TO_FPM,
+      track,
+      on_ground: wow > 0,
+      ...(description && { title: description }),
+    };
+  }
+}
+
+/**
+ * NMEA 0183 position fixes from RMC, GGA and VTG sentences, e.g. from a
+ * GPS receiver or a recorded log
+ */
+export class NMEAAdapter extends SimAdapter {
+  constructor() {
+    super('nmea', 'NMEA GPS');
+  }
+
+  parse(line) {
+    const sentence = parseNMEASentence(String(line));
+    if (!sentence) return null;
+    const f = sentence.fields;
+
+    if (sentence.type === 'RMC') {
+      if (f[1] !== 'A') return null; // no valid fix
+      const track = numberOrNull(f[7]);
+      return {
+        latitude: nmeaDegrees(f[2], f[3]),
+        longitude: nmeaDegrees(f[4], f[5]),
+        ground_speed: numberOrNull(f[6]) ?? 0,
+        ...(track != null && { track, heading: track }),
+      };
+    }
+    if (sentence.type === 'GGA') {
+      if (!parseInt(f[5])) return null; // fix quality 0
+      const altitude = numberOrNull(f[8]);
+      return {
+        latitude: nmeaDegrees(f[1], f[2]),
+        longitude: nmeaDegrees(f[3], f[4]),
+        ...(altitude != null && { altitude }),
+      };
+    }
+    if (sentence.type === 'VTG') {
+      const track = numberOrNull(f[0]);
+      const kmh = numberOrNull(f[6]);
+      const knots =
+        numberOrNull(f[4]) ?? (kmh != null ? kmh * KMH_TO_KNOTS : null);
+      return {
+        ...(track != null && { track, heading: track }),
+        ...(knots != null && { ground_speed: knots }),
+      };
+    }
+    return null;
+  }
+}
+
+export const SIM_ADAPTERS = {
+  xplane: XPlaneAdapter,
+  flightgear: FlightGearAdapter,
+  nmea: NMEAAdapter,
+};
+
+/**
+ * Create a simulator adapter by name
+ * @param {string} name - 'xplane', 'flightgear' or 'nmea'
+ * @returns {SimAdapter|null} Adapter, or null if unknown
+ */
+export function createSimAdapter(name) {
+  const Adapter = SIM_ADAPTERS[name];
+  return Adapter ? new Adapter() : null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Bridge from other simulators and GPS feeds to the moving map, serving
+ * the same routes as the SimConnect proxy under /api/<sim>:
+ * • xplane      X-Plane UDP data output (default port 49003)
+ * • flightgear  FlightGear generic protocol over UDP (default port 5505)
+ * • nmea        NMEA 0183 sentences over UDP (default port 10110),
+ *               from stdin (--file -) or replayed from a log file
+ * See server/sim-adapters.js for the simulator setup.
+ *
+ * Node.js CLI usage:
+ *   node server/sim-bridge.js --sim xplane|flightgear|nmea
+ *     [--udp <port>] [--file <path>|-] [--port 5000] [--rate 1]
+ */
+
+import dgram from 'node:dgram';
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { createTelemetryServer } from './telemetry-server.js';
+import { createSimAdapter } from './sim-adapters.js';
+
+const DEFAULT_UDP_PORTS = { xplane: 49003, flightgear: 5505, nmea: 10110 };
+
+/**
+ * Receive simulator datagrams, one message or text line each
+ * @param {SimAdapter} adapter - Adapter fed with the messages
+ * @param {number} port - UDP port to listen on
+ * @returns {dgram.Socket} Bound socket
+ */
+export function listenUDP(adapter, port) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (message) => {
+    if (adapter.name === 'xplane') {
+      adapter.receive(message);
+      return;
+    }
+    message
+      .toString()
+      .split(/\r?\n/)
+      .forEach((line) => line && adapter.receive(line));
+  });
+  socket.on('error', (err) => console.error('UDP error:', err.message));
+  socket.bind(port);
+  return socket;
+}
+
+/**
+ * Replay an NMEA log one fix per tick, starting over at the end
+ * @param {SimAdapter} adapter - NMEA adapter
+ * @param {string} path - Log file with one sentence per line
+ * @param {number} rateHz - Fixes per second
+ * @returns {NodeJS.Timeout} Replay timer
+ */
+export function replayNMEA(adapter, path, rateHz) {
+  const lines = fs
+    .readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .filter((line) => line.startsWith('$'));
+  let next = 0;
+
+  return setInterval(() => {
+    // A fix starts with its RMC sentence, feed lines up to the next one
+    for (let fed = 0; fed < lines.length; fed++) {
+      adapter.receive(lines[next]);
+      next = (next + 1) % lines.length;
+      if (/^\$..RMC/.test(lines[next])) break;
+    }
+  }, 1000 / rateHz);
+}
+
+function parseArgs(args) {
+  const options = {
+    sim: null,
+    udpPort: null,
+    file: null,
+    port: 5000,
+    rateHz: 1,
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--sim') options.sim = args[++i];
+    else if (args[i] === '--udp') options.udpPort = parseInt(args[++i]);
+    else if (args[i] === '--file') options.file = args[++i];
+    else if (args[i] === '--port') options.port = parseInt(args[++i]);
+    else if (args[i] === '--rate') options.rateHz = parseFloat(args[++i]);
+  }
+  return options;
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (
+  process.argv[1] &&
+  import.meta.url.endsWith(process.argv[1].split(/[/\\]/).pop())
+) {
+  const { sim, udpPort, file, port, rateHz } = parseArgs(process.argv.slice(2));
+  const adapter = createSimAdapter(sim);
+  if (!adapter) {
+    console.error(
+      'Usage: node server/sim-bridge.js --sim xplane|flightgear|nmea'
+    );
+    process.exit(1);
+  }
+
+  if (file === '-') {
+    readline
+      .createInterface({ input: process.stdin })
+      .on('line', (line) => adapter.receive(line));
+  } else if (file) {
+    replayNMEA(adapter, file, rateHz);
+  } else {
+    listenUDP(adapter, udpPort || DEFAULT_UDP_PORTS[sim]);
+  }
+
+  const base = `/api/${sim}`;
+  createTelemetryServer({
+    rateHz,
+    base,
+    sample: () => adapter.sample(),
+  }).listen(port, () =>
+    console.log(`${adapter.title} telemetry: http://localhost:${port}${base}`)
+  );
+}
@@ -2,6 +2,7 @@
 Connection to MSFS via SimConnect for real-time aircraft telemetry.
 """
 
+import math
 import threading
 import time
 
@@ -15,6 +16,13 @@ aircraft_data = {
     "longitude": 0.0,
     "altitude": 0.0,  # in meters
     "heading": 0.0,  # in degrees
+    "indicated_airspeed": 0.0,  # in knots
+    "true_airspeed": 0.0,  # in knots
+    "ground_speed": 0.0,  # in knots
+    "vertical_speed": 0.0,  # in feet per minute
+    "track": 0.0,  # true ground track in degrees
+    "on_ground": True,
+    "title": "",
 }
 sm_aq = None
 data_thread = None
@@ -57,25 +65,50 @@ def update_aircraft_data(stop_event):
                 lon = sm_aq.get("PLANE_LONGITUDE")
                 alt_ft = sm_aq.get("PLANE_ALTITUDE")
                 heading = sm_aq.get("MAGNETIC_COMPASS")
+                ias = sm_aq.get("AIRSPEED_INDICATED")
+                tas = sm_aq.get("AIRSPEED_TRUE")
+                gs = sm_aq.get("GROUND_VELOCITY")
+                vs_fps = sm_aq.get("VERTICAL_SPEED")
+                track_rad = sm_aq.get("GPS_GROUND_TRUE_TRACK")
+                on_ground = sm_aq.get("SIM_ON_GROUND")
+                title = sm_aq.get("TITLE")
+                if isinstance(title, bytes):
+                    title = title.decode("utf-8", errors="ignore")
                 aircraft_data.update(
                     {
                         "latitude": lat if lat else 0.0,
                         "longitude": lon if lon else 0.0,
                         "altitude": alt_ft * 0.3048 if alt_ft else 0.0,
                         "heading": heading if heading else 0.0,
+                        "indicated_airspeed": ias if ias else 0.0,
+                        "true_airspeed": tas if tas else 0.0,
+                        "ground_speed": gs if gs else 0.0,
+                        "vertical_speed": vs_fps * 60 if vs_fps else 0.0,
+                        "track": (
+                            math.degrees(track_rad) % 360
+                            if track_rad
+                            else heading or 0.0
+                        ),
+                        "on_ground": bool(on_ground),
+                        "title": title or "",
                         "connected": True,
                         "last_update": time.time(),
                     }
                 )
             else:
-                import math
-
                 aircraft_data.update(
                     {
                         "latitude": center_lat + radius * math.cos(t),
                         "longitude": center_long + radius * math.sin(t),
                         "altitude": 100,
                         "heading": 90 + math.degrees(t) % 360,
+                        "indicated_airspeed": 105.0,
+                        "true_airspeed": 107.0,
+                        "ground_speed": 107.0,
+                        "vertical_speed": 0.0,
+                        "track": 90 + math.degrees(t) % 360,
+                        "on_ground": False,
+                        "title": "Demo circuit",
                     }
                 )
                 t += 0.05
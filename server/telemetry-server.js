@@ -0,0 +1,189 @@
+/**
+ * Local stand-in for the SimConnect proxy, emitting synthetic telemetry
+ * for development and tests without a running simulator.
+ * Serves the same routes as server.py, plus push streams:
+ * • GET /api/simconnect/<status>  single JSON sample (polling)
+ * • GET /api/simconnect/stream    Server-Sent Events
+ * • WS  /api/simconnect/ws        WebSocket text frames
+ *
+ * Node.js CLI usage:
+ *   node server/telemetry-server.js [--port 5000] [--rate 1]
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Circular demo flight around SFO airport
+const CENTER = { lat: 37.6188, lon: -122.3754 };
+const RADIUS_KM = 5;
+const SPEED_KT = 120;
+
+/**
+ * Synthetic aircraft telemetry at a point in time
+ * @param {number} seconds - Elapsed flight time in seconds
+ * @returns {Object} Telemetry in the SimConnect proxy format
+ */
+export function syntheticTelemetry(seconds) {
+  const speed_kmps = (SPEED_KT * 1.852) / 3600;
+  const angle = (seconds * speed_kmps) / RADIUS_KM; // radians flown
+  const dLat = (RADIUS_KM / 111.32) * Math.cos(angle);
+  const dLon =
+    (RADIUS_KM / (111.32 * Math.cos((CENTER.lat * Math.PI) / 180))) *
+    Math.sin(angle);
+
+  const track = ((angle * 180) / Math.PI + 90) % 360; // clockwise circle
+  const climbRate = (100 / 2) * Math.cos(angle / 2) * (speed_kmps / RADIUS_KM);
+
+  return {
+    latitude: CENTER.lat + dLat,
+    longitude: CENTER.lon + dLon,
+    altitude: 900 + 100 * Math.sin(angle / 2), // in meters
+    heading: track,
+    indicated_airspeed: SPEED_KT - 5, // in knots
+    true_airspeed: SPEED_KT,
+    ground_speed: SPEED_KT,
+    vertical_speed: climbRate * 196.85, // m/s to feet per minute
+    track,
+    on_ground: false,
+    title: 'Synthetic demo circuit',
+    connected: true,
+    last_update: Date.now() / 1000,
+  };
+}
+
+/**
+ * Encode a WebSocket text frame (server frames are unmasked)
+ * @param {string} text - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Create the stand-in telemetry server
+ * @param {Object} options - {rateHz} samples per second for push streams,
+ *   {base} route prefix and {sample} returning the latest telemetry,
+ *   synthetic by default
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createTelemetryServer({
+  rateHz = 1,
+  base = '/api/simconnect',
+  sample = null,
+} = {}) {
+  const startTime = Date.now();
+  const current =
+    sample || (() => syntheticTelemetry((Date.now() - startTime) / 1000));
+  const intervalMs = 1000 / rateHz;
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === `${base}/stream`) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      const send = () => res.write(`data: ${JSON.stringify(current())}\n\n`);
+      send();
+      const timer = setInterval(send, intervalMs);
+      timers.add(timer);
+      req.on('close', () => {
+        clearInterval(timer);
+        timers.delete(timer);
+      });
+      return;
+    }
+
+    if (pathname.startsWith(`${base}/`)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(current()));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url !== `${base}/ws` || !key) {
+      socket.destroy();
+      return;
+    }
+
+    const accept = crypto
+      .createHash('sha1')
+      .update(key + WS_GUID)
+      .digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const send = () => socket.write(wsFrame(JSON.stringify(current())));
+    send();
+    const timer = setInterval(send, intervalMs);
+    timers.add(timer);
+
+    const cleanup = () => {
+      clearInterval(timer);
+      timers.delete(timer);
+    };
+    socket.on('data', (data) => {
+      // Only the close opcode matters, client messages are ignored
+      if ((data[0] & 0x0f) === 0x8) socket.end();
+    });
+    socket.on('close', cleanup);
+    socket.on('error', cleanup);
+  });
+
+  server.on('close', () => {
+    timers.forEach((timer) => clearInterval(timer));
+    timers.clear();
+  });
+
+  return server;
+}
+
+function parseArgs(args) {
+  const options = { port: 5000, rateHz: 1 };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = parseInt(args[++i]);
+    else if (args[i] === '--rate') options.rateHz = parseFloat(args[++i]);
+  }
+  return options;
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (
+  process.argv[1] &&
+  import.meta.url.endsWith(process.argv[1].split(/[/\\]/).pop())
+) {
+  const { port, rateHz } = parseArgs(process.argv.slice(2));
+  createTelemetryServer({ rateHz }).listen(port, () => {
+    console.log(`Synthetic telemetry: http://localhost:${port}/api/simconnect`);
+  });
+}
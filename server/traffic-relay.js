@@ -0,0 +1,98 @@
+/**
+ * Group traffic relay, collecting the positions shared by each pilot's
+ * moving map and serving them back as one feed:
+ * • POST /api/traffic/<id>  own telemetry, with {callsign}
+ * • GET  /api/traffic       {aircraft: [...]} seen within the last minute
+ * Allows cross-origin requests, so pilots can point TRAFFIC_URL at the
+ * machine running the relay.
+ *
+ * Node.js CLI usage:
+ *   node server/traffic-relay.js [--port 5002]
+ */
+
+import http from 'node:http';
+
+const STALE_MS = 60000;
+const MAX_BODY_BYTES = 16384;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Create the traffic relay server
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createTrafficRelay() {
+  const aircraft = new Map(); // id -> {data, received}
+
+  const send = (res, status, body = null) => {
+    res.writeHead(status, {
+      ...CORS_HEADERS,
+      'Content-Type': 'application/json',
+    });
+    res.end(body == null ? '' : JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(/^\/api\/traffic(?:\/([^/]+))?\/?$/);
+    if (!match) return send(res, 404);
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (req.method === 'GET' && !match[1]) {
+      const now = Date.now();
+      for (const [id, entry] of aircraft) {
+        if (now - entry.received > STALE_MS) aircraft.delete(id);
+      }
+      return send(res, 200, {
+        aircraft: [...aircraft.values()].map((entry) => entry.data),
+      });
+    }
+
+    if (req.method === 'POST' && match[1]) {
+      const id = decodeURIComponent(match[1]);
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) req.destroy();
+      });
+      req.on('end', () => {
+        try {
+          const data = JSON.parse(body);
+          aircraft.set(id, {
+            data: { ...data, id, last_update: Date.now() / 1000 },
+            received: Date.now(),
+          });
+          send(res, 204);
+        } catch {
+          send(res, 400, { error: 'Invalid JSON' });
+        }
+      });
+      return;
+    }
+
+    send(res, 405);
+  });
+}
+
+function parseArgs(args) {
+  const options = { port: 5002 };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = parseInt(args[++i]);
+  }
+  return options;
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (
+  process.argv[1] &&
+  import.meta.url.endsWith(process.argv[1].split(/[/\\]/).pop())
+) {
+  const { port } = parseArgs(process.argv.slice(2));
+  createTrafficRelay().listen(port, () => {
+    console.log(`Traffic relay: http://localhost:${port}/api/traffic`);
+  });
+}
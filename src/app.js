@@ -5,8 +5,10 @@ import {
   showUserLocation,
   searchAirport,
   openInternetRadio,
+  searchLandmarksAlongRoute,
+  toggleAutoExplore,
 } from './search.js';
-import { initLandmark } from './landmark.js';
+import { initLandmark, initProximityAlerts } from './landmark.js';
 import {
   getConfig,
   parseMapParamsFromURL,
@@ -16,8 +18,24 @@ import {
   validateCoords,
 } from './utils.js';
 import { mapInterface, getGoogleMapsApiKey } from './interfaces.js';
-import { settingDialog } from './components.js';
-import { initSimConnect, toggleAircraftTracking } from './simconnect.js';
+import { settingDialog, flightHUD } from './components.js';
+import {
+  initSimConnect,
+  toggleAircraftTracking,
+  clearFlightTrail,
+  cycleOrientationMode,
+  setOrientationMode,
+  resumeFollow,
+} from './simconnect.js';
+import { flightRecorder } from './flight-recorder.js';
+import { flightPhase } from './flight-phase.js';
+import { flightReplay } from './replay.js';
+import { traffic } from './traffic.js';
+import { flightRoute } from './route.js';
+import { altitudeProfile } from './profile.js';
+import { favorites } from './favorites.js';
+import { customLandmarks } from './custom-landmarks.js';
+import { landmarkFiles } from './landmark-files.js';
 import { i18n, initi18n, updateTranslation, getGlobeEmoji } from './lion.js';
 
 const translationMap = {
@@ -28,12 +46,19 @@ const translationMap = {
     property: 'placeholder',
     strkey: 'app.search_placeholder',
   },
+  'input#route-input': {
+    property: 'placeholder',
+    strkey: 'app.route_placeholder',
+  },
 };
 
 // DOM Elements
 const mapElement = document.getElementById('map');
 const searchLandmarksButton = document.getElementById('search-landmarks');
 const aircraftTrackingButton = document.getElementById('aircraft-tracking');
+const orientationButton = document.getElementById('orientation-mode');
+const compassRose = document.getElementById('compass-rose');
+const resumeFollowButton = document.getElementById('resume-follow');
 const settingsButton = document.getElementById('settings-button');
 const localeButton = document.getElementById('locale-button');
 const searchSideBar = document.getElementById('search-bar-container');
@@ -94,6 +119,9 @@ async function initMap() {
 
     // Adding map ID for advanced markers
     mapId: import.meta.env?.VITE_GOOGLE_MAP_ID || 'f61a40c10abb6e5a61bdfb74',
+    // Vector rendering for heading-up / track-up map rotation
+    renderingType: google.maps.RenderingType.VECTOR,
+    headingInteractionEnabled: true,
 
     // UI controls optimized for 3D viewing
     fullscreenControl: true,
@@ -146,6 +174,8 @@ async function initMap() {
   });
   initSearch();
   initLandmark();
+  customLandmarks.init(map);
+  landmarkFiles.init(mapElement);
   setupCustomControl();
 
   // Hide loading indicator
@@ -198,6 +228,29 @@ async function setupCustomControl() {
     aircraftTrackingButton.addEventListener('click', async () => {
       await toggleAircraftTracking();
     });
+
+    map.controls[google.maps.ControlPosition.RIGHT_BOTTOM].push(
+      orientationButton
+    );
+    orientationButton.addEventListener('click', () => {
+      cycleOrientationMode();
+    });
+
+    map.controls[google.maps.ControlPosition.RIGHT_BOTTOM].push(compassRose);
+    compassRose.addEventListener('click', () => {
+      setOrientationMode('north');
+    });
+
+    map.controls[google.maps.ControlPosition.BOTTOM_CENTER].push(
+      resumeFollowButton
+    );
+    resumeFollowButton.addEventListener('click', () => {
+      resumeFollow();
+    });
+
+    map.controls[google.maps.ControlPosition.LEFT_TOP].push(flightHUD.panel);
+    flightHUD.init();
+    await initProximityAlerts();
   }
 
   map.controls[google.maps.ControlPosition.LEFT_BOTTOM].push(settingsButton);
@@ -331,6 +384,91 @@ document.addEventListener('DOMContentLoaded', async () => {
     await openInternetRadio();
   });
 
+  addMoreOption('app.clear_trail', () => {
+    clearFlightTrail();
+  });
+
+  flightRecorder.init();
+  flightPhase.init();
+  addMoreOption('app.export_gpx', () => {
+    flightRecorder.export('gpx');
+  });
+
+  addMoreOption('app.export_kml', () => {
+    flightRecorder.export('kml');
+  });
+
+  addMoreOption('app.export_igc', () => {
+    flightRecorder.export('igc');
+  });
+
+  addMoreOption('app.export_previous_gpx', () => {
+    flightRecorder.export('gpx', true);
+  });
+
+  addMoreOption('app.replay_flight', () => {
+    flightReplay.selectFile();
+  });
+
+  flightRoute.init();
+  addMoreOption('app.load_flight_plan', () => {
+    flightRoute.selectFile();
+  });
+
+  addMoreOption('app.edit_route', () => {
+    flightRoute.openEditor();
+  });
+
+  addMoreOption('app.route_landmarks', async () => {
+    await searchLandmarksAlongRoute(flightRoute.waypoints);
+  });
+
+  addMoreOption('app.saved_places', async () => {
+    await favorites.show();
+  });
+
+  addMoreOption('app.export_favorites', () => {
+    favorites.exportFile();
+  });
+
+  addMoreOption('app.import_favorites', () => {
+    favorites.selectFile();
+  });
+
+  addMoreOption('app.export_landmarks_geojson', () => {
+    landmarkFiles.export('geojson');
+  });
+
+  addMoreOption('app.export_landmarks_kml', () => {
+    landmarkFiles.export('kml');
+  });
+
+  addMoreOption('app.export_landmarks_csv', () => {
+    landmarkFiles.export('csv');
+  });
+
+  addMoreOption('app.import_landmarks', () => {
+    landmarkFiles.selectFile();
+  });
+
+  altitudeProfile.init();
+  addMoreOption('app.altitude_profile', async () => {
+    await altitudeProfile.show(flightRoute.waypoints);
+  });
+
+  addMoreOption('app.auto_explore', () => {
+    toggleAutoExplore();
+  });
+
+  await traffic.init();
+  addMoreOption('app.traffic', () => {
+    traffic.toggle();
+  });
+
+  addMoreOption('app.clear_flight_plan', async () => {
+    await flightRoute.clear();
+  });
+
   // Skip auto-translation if no resource bundles are loaded
   if (Object.keys(i18n.translations).length > 0) {
     await updateTranslation();
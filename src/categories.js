@@ -0,0 +1,130 @@
+/**
+ * Landmark categories
+ * maps the free-form type of a result (GPT type, ICAO code, Places
+ * primary type) to an icon and color, and keeps the category filter of
+ * the landmarks sidebar across searches
+ */
+
+import { i18n, setTooltip } from './lion.js';
+
+const FILTER_KEY = 'LANDMARK_FILTER';
+
+// In order of precedence, the first matching category wins
+const CATEGORIES = [
+  {
+    id: 'airport',
+    icon: '✈️',
+    color: '#546e7a',
+    pattern: /airport|airfield|aerodrome|heliport|airstrip/i,
+  },
+  {
+    id: 'historical',
+    icon: '🏛️',
+    color: '#8d6e63',
+    pattern:
+      /histor|monument|memorial|castle|ruin|archaeolog|heritage|fort\b|battlefield/i,
+  },
+  {
+    id: 'natural',
+    icon: '🏞️',
+    color: '#43a047',
+    pattern:
+      /natur|(?<!(?:amusement|theme|water|car)[ _])park(?!ing)|mountain|peak|lake|beach|garden|island|river|waterfall|forest|canyon|volcano|bay\b|cave/i,
+  },
+  {
+    id: 'cultural',
+    icon: '🎭',
+    color: '#8e24aa',
+    pattern:
+      /cultur|museum|galler|theat|\bart|church|temple|mosque|cathedral|shrine|synagogue|religio|librar/i,
+  },
+  {
+    id: 'architecture',
+    icon: '🏙️',
+    color: '#fb8c00',
+    pattern:
+      /architect|bridge|tower|building|skyscraper|palace|stadium|lighthouse|dam\b/i,
+  },
+  {
+    id: 'attraction',
+    icon: '📸',
+    color: '#e53935',
+    pattern:
+      /touris|attraction|amusement|theme[ _]park|water[ _]park|zoo|aquarium|viewpoint|observation|landmark/i,
+  },
+];
+
+const OTHER = { id: 'other', icon: '', color: '#6aa8f7' };
+
+export const LANDMARK_CATEGORIES = [...CATEGORIES, OTHER].map(
+  ({ id, icon, color }) => ({ id, icon, color })
+);
+
+/**
+ * Category of a landmark type
+ * @param {string} type - Landmark type, e.g. 'Historical', 'KSFO', 'Park'
+ * @returns {Object} Category {id, icon, color}
+ */
+export function categorize(type) {
+  const text = String(type || '').trim();
+  // Airport searches with GPT return the ICAO code as the type
+  if (/^[A-Z]{4}$/.test(text)) return LANDMARK_CATEGORIES[0];
+  const index = CATEGORIES.findIndex(({ pattern }) => pattern.test(text));
+  return LANDMARK_CATEGORIES[index < 0 ? CATEGORIES.length : index];
+}
+
+class CategoryFilter {
+  constructor() {
+    this.hidden = new Set();
+    try {
+      JSON.parse(localStorage.getItem(FILTER_KEY))?.forEach((id) =>
+        this.hidden.add(id)
+      );
+    } catch (error) {
+      console.error('Error loading landmark filter:', error);
+    }
+  }
+
+  /**
+   * Whether landmarks of a category are shown
+   * @param {string} id - Category id
+   */
+  shows(id) {
+    return !this.hidden.has(id);
+  }
+
+  toggle(id) {
+    if (!this.hidden.delete(id)) this.hidden.add(id);
+    localStorage.setItem(FILTER_KEY, JSON.stringify([...this.hidden]));
+  }
+
+  /**
+   * Render a chip per category found in the results
+   * @param {HTMLElement} container - Chip bar
+   * @param {Object} counts - Number of results by category id
+   * @param {Function} onChange - Called after a chip is toggled
+   */
+  renderChips(container, counts, onChange) {
+    container.innerHTML = '';
+    LANDMARK_CATEGORIES.filter(({ id }) => counts[id]).forEach(
+      ({ id, icon, color }) => {
+        const chip = document.createElement('button');
+        chip.className = 'filter-chip';
+        chip.classList.toggle('off', !this.shows(id));
+        chip.style.borderColor = color;
+        chip.textContent = [icon, i18n.t(`categories.${id}`), counts[id]]
+          .filter(Boolean)
+          .join(' ');
+        setTooltip(chip, 'tooltips.filter_chip');
+        chip.addEventListener('click', () => {
+          this.toggle(id);
+          chip.classList.toggle('off', !this.shows(id));
+          onChange();
+        });
+        container.appendChild(chip);
+      }
+    );
+  }
+}
+
+export const categoryFilter = new CategoryFilter();
@@ -0,0 +1,202 @@
+/* eslint-disable no-undef */
+/**
+ * Chase cam for the photorealistic 3D view
+ * keeps the Map3DElement camera with the aircraft on every telemetry
+ * sample, smoothed by dead-reckoning between samples, and shows the
+ * aircraft as a 3D model (aircraft_model_url) or an extruded marker
+ */
+
+import { MotionSmoother, deadReckon } from './motion.js';
+import { getConfig } from './utils.js';
+
+const KNOTS_TO_MPS = 0.514444;
+const ALTITUDE_SMOOTH_MS = 1000; // time constant for altitude changes
+const MIN_ALTITUDE_M = 30; // keep the camera out of the ground
+
+// Camera presets: tilt from straight down, range from the aircraft in meters
+const PRESETS = {
+  chase: { tilt: 75, range: 350 },
+  cockpit: { tilt: 85, range: 150 },
+  orbit: { tilt: 65, range: 900, degreesPerSecond: 6 },
+};
+export const CHASE_CAM_PRESETS = Object.keys(PRESETS);
+
+/**
+ * Camera for a chase cam preset
+ * @param {Object} aircraft - {lat, lng, altitude} with altitude in meters
+ * @param {number} heading - Aircraft heading in degrees
+ * @param {string} preset - 'chase', 'cockpit' or 'orbit'
+ * @param {number} seconds - Time in seconds, turns the orbit
+ * @returns {Object} {center, heading, tilt, range} for Map3DElement
+ */
+export function chaseCamera(aircraft, heading, preset, seconds = 0) {
+  const { tilt, range, degreesPerSecond } = PRESETS[preset] || PRESETS.chase;
+  const altitude = Math.max(MIN_ALTITUDE_M, aircraft.altitude || 0);
+
+  if (preset === 'cockpit') {
+    // Look at a point ahead so that the camera sits at the aircraft
+    const toRad = Math.PI / 180;
+    const ahead = deadReckon(
+      aircraft,
+      heading,
+      range * Math.sin(tilt * toRad),
+      1
+    );
+    return {
+      center: { ...ahead, altitude: altitude - range * Math.cos(tilt * toRad) },
+      heading,
+      tilt,
+      range,
+    };
+  }
+
+  return {
+    center: { lat: aircraft.lat, lng: aircraft.lng, altitude },
+    heading:
+      preset === 'orbit'
+        ? (heading + seconds * degreesPerSecond) % 360
+        : heading,
+    tilt,
+    range,
+  };
+}
+
+export class ChaseCam {
+  /**
+   * @param {HTMLElement} map3DElement - Map3DElement to steer
+   */
+  constructor(map3DElement) {
+    this.map3D = map3DElement;
+    this.preset = null;
+    this.model = null;
+    this.altitude = null;
+    this.targetAltitude = 0;
+    this.startTime = 0;
+    this.lastFrameTime = 0;
+    this.motion = new MotionSmoother((position, heading) =>
+      this.render(position, heading)
+    );
+    this.onTelemetry = (event) => this.update(event.detail);
+  }
+
+  get active() {
+    return this.preset !== null;
+  }
+
+  /**
+   * Follow the aircraft with a camera preset
+   * @param {string} preset - 'chase', 'cockpit' or 'orbit'
+   * @param {Object} [aircraftData] - Latest telemetry to start from
+   */
+  async start(preset, aircraftData = null) {
+    const starting = !this.active;
+    this.preset = preset;
+    if (starting) {
+      this.map3D.stopCameraAnimation?.();
+      this.startTime = performance.now();
+      window.addEventListener('SimConnect_telemetry', this.onTelemetry);
+      await this.createModel();
+      if (aircraftData) this.update(aircraftData);
+    }
+    this.showModel(preset !== 'cockpit');
+  }
+
+  stop() {
+    this.preset = null;
+    window.removeEventListener('SimConnect_telemetry', this.onTelemetry);
+    this.motion.stop();
+    this.showModel(false);
+    this.model = null;
+    this.altitude = null;
+  }
+
+  /**
+   * Feed one telemetry sample
+   * @param {Object} aircraftData - Telemetry data from SimConnect
+   */
+  update(aircraftData) {
+    if (!this.active) return;
+    this.targetAltitude = aircraftData.altitude || 0;
+    this.altitude ??= this.targetAltitude;
+    this.motion.update(
+      {
+        lat: aircraftData.latitude,
+        lng: aircraftData.longitude,
+        heading: aircraftData.heading || 0,
+        groundSpeed:
+          aircraftData.ground_speed != null
+            ? aircraftData.ground_speed * KNOTS_TO_MPS
+            : undefined,
+        track: aircraftData.track,
+      },
+      !aircraftData.replay
+    );
+  }
+
+  /**
+   * Move the camera and the aircraft model for one animation frame
+   * @param {Object} position - {lat, lng} smoothed position
+   * @param {number} heading - Smoothed heading in degrees
+   */
+  render(position, heading) {
+    const now = performance.now();
+    const frameMs = now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    this.altitude +=
+      (this.targetAltitude - this.altitude) *
+      Math.min(1, frameMs / ALTITUDE_SMOOTH_MS);
+
+    const aircraft = { ...position, altitude: this.altitude };
+    const camera = chaseCamera(
+      aircraft,
+      heading,
+      this.preset,
+      (now - this.startTime) / 1000
+    );
+    this.map3D.center = camera.center;
+    this.map3D.heading = camera.heading;
+    this.map3D.tilt = camera.tilt;
+    this.map3D.range = camera.range;
+
+    if (this.model) {
+      this.model.position = aircraft;
+      if ('orientation' in this.model)
+        this.model.orientation = { heading, tilt: 0, roll: 0 };
+    }
+  }
+
+  /**
+   * Create the aircraft 3D model, or an extruded marker without one
+   */
+  async createModel() {
+    const config = await getConfig();
+    const { Model3DElement, Marker3DElement, AltitudeMode } =
+      await google.maps.importLibrary('maps3d');
+    const src = config?.defaults?.aircraft_model_url;
+
+    if (src && Model3DElement) {
+      this.model = new Model3DElement({
+        src,
+        altitudeMode: AltitudeMode.ABSOLUTE,
+        scale: config.defaults.aircraft_model_scale || 1,
+      });
+    } else {
+      this.model = new Marker3DElement({
+        altitudeMode: AltitudeMode.ABSOLUTE,
+        extruded: true,
+        label: '✈️',
+      });
+    }
+  }
+
+  /**
+   * Show the aircraft model, hidden from the cockpit view
+   * @param {boolean} visible - Whether the model is on the map
+   */
+  showModel(visible) {
+    if (!this.model) return;
+    if (visible && !this.model.parentElement)
+      this.map3D.appendChild(this.model);
+    if (!visible && this.model.parentElement) this.model.remove();
+  }
+}
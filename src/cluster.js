@@ -0,0 +1,381 @@
+/* eslint-disable no-undef */
+/**
+ * Marker clustering for the landmark markers
+ * groups markers closer than cluster_radius_px on screen into a count
+ * badge, spreads markers at the same spot around it when clicked, and
+ * keeps the labels of single markers shown unless they would overlap
+ */
+
+import { getConfig } from './utils.js';
+import { setTooltip } from './lion.js';
+
+const MARKER_SIZE_PX = 24; // .marker-element
+const LABEL_GAP_PX = 5; // between the marker and its label
+const COLOCATED_PX = 8; // still grouped beyond cluster_max_zoom
+const SPIDER_SPACING_PX = 36;
+const SPIDER_CIRCLE_MAX = 8; // more markers are laid out on a spiral
+const SPIDER_LEG_COLOR = '#4285F4';
+
+/**
+ * Group points closer than a radius, in order
+ * @param {Array} points - Points {x, y} in pixels
+ * @param {number} radius - Radius in pixels
+ * @returns {Array} Clusters {x, y, members} at the centroid of the
+ *   members, the indices of their points
+ */
+export function clusterPoints(points, radius) {
+  const clusters = [];
+  points.forEach((point, i) => {
+    const cluster = clusters.find(
+      (c) => Math.hypot(c.x - point.x, c.y - point.y) <= radius
+    );
+    if (!cluster) {
+      clusters.push({ x: point.x, y: point.y, members: [i] });
+      return;
+    }
+    cluster.members.push(i);
+    const count = cluster.members.length;
+    cluster.x += (point.x - cluster.x) / count;
+    cluster.y += (point.y - cluster.y) / count;
+  });
+  return clusters;
+}
+
+/**
+ * Offsets to spread markers around a spot, on a circle or a spiral
+ * @param {number} count - Number of markers
+ * @param {number} spacing - Distance between neighbours in pixels
+ * @returns {Array} Offsets {dx, dy} in pixels
+ */
+export function spiderfyOffsets(count, spacing = SPIDER_SPACING_PX) {
+  if (count <= SPIDER_CIRCLE_MAX) {
+    const radius = Math.max(spacing, (spacing * count) / (2 * Math.PI));
+    return Array.from({ length: count }, (_, i) => {
+      const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+      return { dx: radius * Math.cos(angle), dy: radius * Math.sin(angle) };
+    });
+  }
+
+  const offsets = [];
+  let radius = spacing;
+  let angle = 0;
+  for (let i = 0; i < count; i++) {
+    angle += spacing / radius;
+    offsets.push({
+      dx: radius * Math.cos(angle),
+      dy: radius * Math.sin(angle),
+    });
+    radius += (spacing * Math.PI) / (4 * angle);
+  }
+  return offsets;
+}
+
+const overlaps = (a, b) =>
+  a.left < b.left + b.width &&
+  b.left < a.left + a.width &&
+  a.top < b.top + b.height &&
+  b.top < a.top + a.height;
+
+/**
+ * Pick the labels that can be shown without overlapping
+ * @param {Array} labels - Boxes {left, top, width, height} in pixels,
+ *   most important first
+ * @param {Array} obstacles - Boxes no label may cover
+ * @returns {Array} Whether each label is shown
+ */
+export function placeLabels(labels, obstacles = []) {
+  const placed = [...obstacles];
+  return labels.map((label) => {
+    if (placed.some((box) => overlaps(label, box))) return false;
+    placed.push(label);
+    return true;
+  });
+}
+
+const toLiteral = (position) =>
+  typeof position.lat === 'function'
+    ? { lat: position.lat(), lng: position.lng() }
+    : { lat: position.lat, lng: position.lng };
+
+function createClusterElement(count) {
+  const element = document.createElement('div');
+  element.className = 'cluster-marker';
+  const size = Math.round(Math.min(48, 28 + 4 * Math.log2(count)));
+  element.style.width = `${size}px`;
+  element.style.height = `${size}px`;
+  element.textContent = count;
+  setTooltip(element, 'tooltips.cluster_expand');
+  return element;
+}
+
+export class MarkerClusterer {
+  /**
+   * @param {google.maps.Map} map - Map showing the markers
+   */
+  constructor(map) {
+    this.map = map;
+    this.markers = [];
+    this.shown = [];
+    this.badges = [];
+    this.clusterOf = new Map(); // hidden marker -> markers of its cluster
+    this.spider = null;
+    this.options = null;
+    this.filter = () => true;
+
+    map.addListener('idle', () => this.render());
+    map.addListener('click', () => {
+      if (this.spider) {
+        this.unspiderfy();
+        this.render();
+      }
+    });
+  }
+
+  async loadOptions() {
+    const config = await getConfig();
+    this.options ??= {
+      radius: config?.defaults?.cluster_radius_px ?? 60,
+      maxZoom: config?.defaults?.cluster_max_zoom ?? 16,
+    };
+    return this.options;
+  }
+
+  /**
+   * Add markers, shown on the next render
+   * @param {Array} markers - AdvancedMarkerElements, not yet on the map
+   */
+  add(markers) {
+    markers.forEach((marker) => {
+      marker.map = null;
+      this.markers.push(marker);
+    });
+  }
+
+  /**
+   * Show only the markers passing a filter
+   * @param {Function} filter - Called with each marker
+   */
+  setFilter(filter) {
+    this.filter = filter;
+    this.unspiderfy();
+    this.render();
+  }
+
+  clear() {
+    this.unspiderfy();
+    this.markers.forEach((marker) => {
+      marker.map = null;
+    });
+    this.markers = [];
+    this.shown = [];
+    this.removeBadges();
+  }
+
+  removeBadges() {
+    this.badges.forEach((badge) => {
+      badge.map = null;
+    });
+    this.badges = [];
+    this.clusterOf.clear();
+  }
+
+  /**
+   * Pixel position at the current zoom, null before the map is ready
+   */
+  projector() {
+    const projection = this.map.getProjection();
+    if (!projection) return null;
+    const scale = 2 ** this.map.getZoom();
+    return {
+      toPixels: (position) => {
+        const point = projection.fromLatLngToPoint(position);
+        return { x: point.x * scale, y: point.y * scale };
+      },
+      toLatLng: ({ x, y }) =>
+        toLiteral(
+          projection.fromPointToLatLng(
+            new google.maps.Point(x / scale, y / scale)
+          )
+        ),
+    };
+  }
+
+  /**
+   * Cluster the markers for the current zoom
+   */
+  async render() {
+    const { radius, maxZoom } = await this.loadOptions();
+    const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
+    const projector = this.projector();
+    if (!projector) return;
+
+    const zoom = this.map.getZoom();
+    if (this.spider && this.spider.zoom !== zoom) this.unspiderfy();
+    const spread = this.spider?.markers || [];
+    const free = [];
+    this.markers.forEach((marker) => {
+      if (!this.filter(marker)) marker.map = null;
+      else if (!spread.includes(marker)) free.push(marker);
+    });
+    const points = free.map((marker) => projector.toPixels(marker.position));
+
+    this.removeBadges();
+    this.shown = [...spread];
+    const badgeBoxes = [];
+    clusterPoints(points, zoom >= maxZoom ? COLOCATED_PX : radius).forEach(
+      (cluster) => {
+        const members = cluster.members.map((i) => free[i]);
+        if (members.length === 1) {
+          members[0].map = this.map;
+          this.shown.push(members[0]);
+          return;
+        }
+
+        members.forEach((marker) => {
+          marker.map = null;
+          this.clusterOf.set(marker, members);
+        });
+        const content = createClusterElement(members.length);
+        const badge = new AdvancedMarkerElement({
+          map: this.map,
+          position: projector.toLatLng(cluster),
+          content,
+          zIndex: members.length,
+        });
+        badge.addListener('gmp-click', () => this.expand(members));
+        this.badges.push(badge);
+        const size = parseInt(content.style.width);
+        badgeBoxes.push({
+          left: cluster.x - size / 2,
+          top: cluster.y - size,
+          width: size,
+          height: size,
+        });
+      }
+    );
+    this.layoutLabels(badgeBoxes);
+  }
+
+  /**
+   * Show the labels of single markers that do not overlap, the active
+   * marker first
+   * @param {Array} obstacles - Boxes of the cluster badges
+   */
+  layoutLabels(obstacles = []) {
+    const projector = this.projector();
+    if (!projector) return;
+
+    const entries = this.shown
+      .map((marker) => ({
+        marker,
+        label: marker.content?.querySelector('.marker-label'),
+        point: projector.toPixels(marker.position),
+        active: marker.content?.querySelector('.active-marker') ? 1 : 0,
+      }))
+      .filter((entry) => entry.label)
+      .sort((a, b) => b.active - a.active);
+
+    const dots = entries.map(({ point }) => ({
+      left: point.x - MARKER_SIZE_PX / 2,
+      top: point.y - MARKER_SIZE_PX,
+      width: MARKER_SIZE_PX,
+      height: MARKER_SIZE_PX,
+    }));
+    const labels = entries.map(({ label, point }) => {
+      const width = label.offsetWidth || label.textContent.length * 7 + 12;
+      const height = label.offsetHeight || 22;
+      return {
+        left: point.x - width / 2,
+        top: point.y - MARKER_SIZE_PX - LABEL_GAP_PX - height,
+        width,
+        height,
+      };
+    });
+
+    placeLabels(labels, [...obstacles, ...dots]).forEach((visible, i) => {
+      entries[i].label.classList.toggle('label-collided', !visible);
+    });
+  }
+
+  /**
+   * Zoom into a cluster, or spread it when its markers share a spot
+   * @param {Array} members - Markers of the cluster
+   */
+  async expand(members) {
+    const { maxZoom } = await this.loadOptions();
+    const positions = members.map((marker) => toLiteral(marker.position));
+    const scale = 2 ** maxZoom;
+    const projection = this.map.getProjection();
+    const pixels = positions.map((position) => {
+      const point = projection.fromLatLngToPoint(position);
+      return { x: point.x * scale, y: point.y * scale };
+    });
+    const span = Math.max(
+      Math.max(...pixels.map((p) => p.x)) - Math.min(...pixels.map((p) => p.x)),
+      Math.max(...pixels.map((p) => p.y)) - Math.min(...pixels.map((p) => p.y))
+    );
+
+    if (this.map.getZoom() >= maxZoom || span <= COLOCATED_PX) {
+      this.spiderfy(members);
+      return;
+    }
+    const bounds = new google.maps.LatLngBounds();
+    positions.forEach((position) => bounds.extend(position));
+    this.map.fitBounds(bounds, 80);
+  }
+
+  /**
+   * Spread the markers of a cluster around its center, with legs
+   * @param {Array} members - Markers of the cluster
+   */
+  spiderfy(members) {
+    this.unspiderfy();
+    const projector = this.projector();
+    if (!projector) return;
+
+    const points = members.map((marker) => projector.toPixels(marker.position));
+    const center = {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    };
+    const centerLatLng = projector.toLatLng(center);
+    const offsets = spiderfyOffsets(members.length);
+
+    const legs = members.map((marker, i) => {
+      marker.home = marker.position;
+      marker.position = projector.toLatLng({
+        x: center.x + offsets[i].dx,
+        y: center.y + offsets[i].dy,
+      });
+      marker.map = this.map;
+      return new google.maps.Polyline({
+        map: this.map,
+        path: [centerLatLng, marker.position],
+        strokeColor: SPIDER_LEG_COLOR,
+        strokeWeight: 1.5,
+        clickable: false,
+      });
+    });
+    this.spider = { markers: members, legs, zoom: this.map.getZoom() };
+    this.render();
+  }
+
+  unspiderfy() {
+    if (!this.spider) return;
+    this.spider.markers.forEach((marker) => {
+      marker.position = marker.home;
+      delete marker.home;
+    });
+    this.spider.legs.forEach((leg) => leg.setMap(null));
+    this.spider = null;
+  }
+
+  /**
+   * Bring a marker hidden in a cluster onto the map
+   * @param {Object} marker - AdvancedMarkerElement
+   */
+  reveal(marker) {
+    const members = this.clusterOf.get(marker);
+    if (members) this.spiderfy(members);
+  }
+}
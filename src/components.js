@@ -1,5 +1,10 @@
-import { landmarkService } from './interfaces.js';
-import { getSettings, SETTINGS_KEY } from './utils.js';
+import { landmarkService, mapInterface } from './interfaces.js';
+import {
+  getSettings,
+  SETTINGS_KEY,
+  distance_km,
+  bearing_deg,
+} from './utils.js';
 import { i18n } from './lion.js';
 
 class CachingNotification {
@@ -146,6 +151,202 @@ class CachingNotification {
 
 export const cachingNotification = new CachingNotification();
 
+class Toast {
+  /**
+   * Short-lived notifications stacked over the map
+   */
+
+  constructor() {
+    this.container = document.getElementById('toast-container');
+  }
+
+  /**
+   * Show a notification
+   * @param {Object} options - {title, text, onClick, timeout (ms)}
+   */
+  show({ title, text = '', onClick = null, timeout = 8000 }) {
+    if (!this.container) return;
+    const element = document.createElement('div');
+    element.className = 'toast';
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'toast-title';
+    titleElement.textContent = title;
+    const textElement = document.createElement('div');
+    textElement.className = 'toast-text';
+    textElement.textContent = text;
+    element.append(titleElement, textElement);
+
+    const dismiss = () => element.remove();
+    element.addEventListener('click', () => {
+      dismiss();
+      if (onClick) onClick();
+    });
+    setTimeout(dismiss, timeout);
+    this.container.appendChild(element);
+  }
+}
+
+export const toast = new Toast();
+
+const HUD_COLLAPSED_KEY = 'HUD_COLLAPSED';
+const METERS_TO_FEET = 3.28084;
+const KM_TO_NM = 1 / 1.852;
+const KNOTS_PER_MPS = 1.94384;
+
+/**
+ * Speeds of a sample, derived from the previous one when not reported, as
+ * replays and older proxies only report position
+ * @param {Object|null} prev - Previous telemetry sample
+ * @param {Object} aircraftData - Telemetry data from SimConnect
+ * @returns {Object} {groundSpeed} in knots, {verticalSpeed} in feet per
+ *   minute, undefined when unknown
+ */
+export function hudSpeeds(prev, aircraftData) {
+  const { latitude, longitude, altitude } = aircraftData;
+  let groundSpeed = aircraftData.ground_speed;
+  let verticalSpeed = aircraftData.vertical_speed;
+
+  const dt = prev ? aircraftData.last_update - prev.last_update : 0;
+  if (dt > 0) {
+    groundSpeed ??=
+      (distance_km(prev.latitude, prev.longitude, latitude, longitude) *
+        1000 *
+        KNOTS_PER_MPS) /
+      dt;
+    verticalSpeed ??= ((altitude - prev.altitude) * METERS_TO_FEET * 60) / dt;
+  }
+  return { groundSpeed, verticalSpeed };
+}
+
+class FlightHUD {
+  /**
+   * Instrument-style panel with live flight data over the map
+   */
+
+  constructor() {
+    this.panel = document.getElementById('flight-hud');
+    this.toggleButton = document.getElementById('hud-toggle');
+    this.phaseLabel = document.getElementById('hud-phase');
+    this.fields = {};
+    this.panel?.querySelectorAll('[data-hud]').forEach((el) => {
+      this.fields[el.dataset.hud] = el;
+    });
+    this.lastSample = null;
+    this.setCollapsed(localStorage.getItem(HUD_COLLAPSED_KEY) === 'true');
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.toggleButton?.addEventListener('click', () => {
+      this.setCollapsed(!this.collapsed);
+      localStorage.setItem(HUD_COLLAPSED_KEY, this.collapsed);
+    });
+  }
+
+  /**
+   * Start following telemetry, flight phase and tracking events
+   */
+  init() {
+    window.addEventListener('SimConnect_telemetry', (event) => {
+      this.update(event.detail);
+    });
+    window.addEventListener('FlightPhase_changed', (event) => {
+      this.setPhase(event.detail.phase);
+    });
+    window.addEventListener('SimConnect_stopped', () => {
+      this.hide();
+    });
+  }
+
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    this.panel?.classList.toggle('collapsed', collapsed);
+  }
+
+  setPhase(phase) {
+    if (this.phaseLabel) {
+      this.phaseLabel.textContent = phase ? i18n.t(`hud.phase_${phase}`) : '';
+    }
+  }
+
+  /**
+   * Refresh the displayed values
+   * @param {Object} aircraftData - Telemetry data from SimConnect
+   */
+  update(aircraftData) {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    if (aircraftData.replay) this.setPhase(null);
+
+    const { latitude, longitude, altitude, heading } = aircraftData;
+    const { groundSpeed, verticalSpeed } = hudSpeeds(
+      this.lastSample,
+      aircraftData
+    );
+    this.lastSample = aircraftData;
+
+    this.setField(
+      'altitude',
+      `${Math.round(altitude * METERS_TO_FEET).toLocaleString()} ft`
+    );
+    this.setField(
+      'ground_speed',
+      groundSpeed != null ? `${Math.round(groundSpeed)} kt` : '—'
+    );
+    this.setField(
+      'heading',
+      `${String(Math.round(heading) % 360).padStart(3, '0')}°`
+    );
+    this.setField(
+      'vertical_speed',
+      verticalSpeed != null
+        ? `${verticalSpeed > 0 ? '+' : ''}${Math.round(verticalSpeed / 10) * 10} fpm`
+        : '—'
+    );
+
+    const nearest = this.findNearest(latitude, longitude);
+    this.setField('nearest', nearest?.name || '—');
+    this.setField(
+      'nearest_range',
+      nearest
+        ? `${(nearest.distance * KM_TO_NM).toFixed(1)} nm · ` +
+            `${String(Math.round(nearest.bearing) % 360).padStart(3, '0')}°`
+        : ''
+    );
+  }
+
+  setField(name, text) {
+    if (this.fields[name]) this.fields[name].textContent = text;
+  }
+
+  /**
+   * Closest landmark or airport shown on the map
+   * @returns {Object|null} Landmark with distance (km) and bearing (deg)
+   */
+  findNearest(lat, lng) {
+    let nearest = null;
+    for (const landmark of mapInterface.getLandmarks()) {
+      const distance = distance_km(lat, lng, landmark.lat, landmark.lon);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { ...landmark, distance };
+      }
+    }
+    if (nearest) {
+      nearest.bearing = bearing_deg(lat, lng, nearest.lat, nearest.lon);
+    }
+    return nearest;
+  }
+
+  hide() {
+    this.panel?.classList.add('hidden');
+    this.lastSample = null;
+    this.setPhase(null);
+  }
+}
+
+export const flightHUD = new FlightHUD();
+
 class SettingDialog {
   constructor() {
     this.dialog = document.getElementById('settings-dialog');
@@ -156,6 +357,8 @@ class SettingDialog {
 
     // List of required API keys
     this.requiredKeys = ['GOOGLE_MAPS_API_KEY', 'OPENAI_API_KEY'];
+    // Listed even when unset, empty for the config.json default
+    this.optionalKeys = ['SIM_ADAPTER'];
     this.settings = {};
     this.setupListeners();
   }
@@ -212,7 +415,9 @@ class SettingDialog {
   renderTable() {
     if (!this.tableBody) return;
     this.tableBody.innerHTML = '';
-    const keys = Object.keys(this.settings).sort();
+    const keys = [
+      ...new Set([...Object.keys(this.settings), ...this.optionalKeys]),
+    ].sort();
 
     keys.forEach((key) => {
       const value = this.settings[key];
@@ -0,0 +1,258 @@
+/**
+ * Custom landmarks
+ * pins dropped with a right-click or a long-press on the map, with a
+ * name, notes, type and photo, kept in localStorage and shown with the
+ * nearby search results through displayLandmarks
+ */
+
+import { mapInterface } from './interfaces.js';
+import { distance_km, handleError } from './utils.js';
+import { i18n } from './lion.js';
+
+const CUSTOM_LANDMARKS_KEY = 'CUSTOM_LANDMARKS';
+const LONG_PRESS_MS = 600;
+const PHOTO_MAX_PX = 640; // uploads are scaled down to fit in localStorage
+const PHOTO_QUALITY = 0.8;
+
+/**
+ * Landmarks within a radius
+ * @param {Array} landmarks - Landmarks {lat, lon, ...}
+ * @returns {Array} Landmarks within radius_km of lat, lon
+ */
+export function landmarksNear(landmarks, lat, lon, radius_km) {
+  return landmarks.filter(
+    (landmark) => distance_km(lat, lon, landmark.lat, landmark.lon) <= radius_km
+  );
+}
+
+/**
+ * Put custom landmarks first in search results, dropping results with
+ * the same name
+ * @param {Array} results - Landmarks from a search
+ * @param {Array} custom - Custom landmarks
+ * @returns {Array} Merged landmarks
+ */
+export function mergeLandmarks(results, custom) {
+  const names = new Set(custom.map((landmark) => landmark.name));
+  return [...custom, ...results.filter((result) => !names.has(result.name))];
+}
+
+/**
+ * Scale an image file down to a JPEG data URL
+ * @param {File} file - Image file
+ * @returns {string} Data URL
+ */
+async function readPhoto(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(
+    1,
+    PHOTO_MAX_PX / Math.max(bitmap.width, bitmap.height)
+  );
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+}
+
+const isTouch = (domEvent) =>
+  domEvent?.pointerType === 'touch' || /^touch/.test(domEvent?.type);
+
+class CustomLandmarks {
+  constructor() {
+    this.dialog = document.getElementById('pin-dialog');
+    this.form = document.getElementById('pin-form');
+    this.title = document.getElementById('pin-title');
+    this.deleteButton = document.getElementById('pin-delete');
+    this.fields = {
+      name: document.getElementById('pin-name'),
+      type: document.getElementById('pin-type'),
+      desc: document.getElementById('pin-desc'),
+      photoUrl: document.getElementById('pin-photo-url'),
+      photoFile: document.getElementById('pin-photo-file'),
+    };
+
+    this.landmarks = [];
+    this.editing = null; // landmark being edited, or {lat, lon} of a new one
+    this.pressTimer = null;
+    this.load();
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    this.form?.addEventListener('submit', async () => {
+      await this.save();
+    });
+    document.getElementById('pin-cancel')?.addEventListener('click', () => {
+      this.close();
+    });
+    this.deleteButton?.addEventListener('click', async () => {
+      await this.remove();
+    });
+  }
+
+  /**
+   * Open the editor on a right-click, or a long-press on touch screens
+   * @param {google.maps.Map} map - Map instance
+   */
+  init(map) {
+    const open = (event) => {
+      this.cancelPress();
+      this.openEditor({ lat: event.latLng.lat(), lon: event.latLng.lng() });
+    };
+    map.addListener('contextmenu', open);
+    map.addListener('mousedown', (event) => {
+      this.cancelPress();
+      // Mouse users hold the button to pan, and have the right-click
+      if (!isTouch(event.domEvent)) return;
+      this.pressTimer = setTimeout(() => open(event), LONG_PRESS_MS);
+    });
+    ['mouseup', 'dragstart', 'zoom_changed'].forEach((name) =>
+      map.addListener(name, () => this.cancelPress())
+    );
+  }
+
+  cancelPress() {
+    clearTimeout(this.pressTimer);
+    this.pressTimer = null;
+  }
+
+  load() {
+    try {
+      this.landmarks =
+        JSON.parse(localStorage.getItem(CUSTOM_LANDMARKS_KEY)) || [];
+    } catch (error) {
+      console.error('Error loading custom landmarks:', error);
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the landmarks were stored
+   */
+  persist() {
+    try {
+      localStorage.setItem(
+        CUSTOM_LANDMARKS_KEY,
+        JSON.stringify(this.landmarks)
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving custom landmarks:', error);
+      handleError(i18n.t('errors.custom_landmark_storage'));
+      return false;
+    }
+  }
+
+  /**
+   * Add the custom landmarks around a search to its results
+   * @param {Object} landmarkData - Search results {landmarks, ...}
+   * @returns {Object} Results to display, sharing the landmark objects
+   */
+  mergeNearby(landmarkData, lat, lon, radius_km) {
+    const nearby = landmarksNear(this.landmarks, lat, lon, radius_km);
+    return {
+      ...landmarkData,
+      landmarks: mergeLandmarks(landmarkData?.landmarks || [], nearby),
+    };
+  }
+
+  /**
+   * Show the editor for a new pin or a custom landmark
+   * @param {Object} landmark - Custom landmark, or {lat, lon} for a new one
+   */
+  openEditor(landmark) {
+    if (!this.dialog || !this.dialog.classList.contains('hidden')) return;
+    // Cards may show a copy of the stored landmark
+    landmark = this.landmarks.find((l) => l.id === landmark.id) || landmark;
+    this.editing = landmark;
+    const existing = Boolean(landmark.id);
+    this.title.textContent = i18n.t(existing ? 'pin.edit' : 'pin.create');
+    this.deleteButton.classList.toggle('hidden', !existing);
+    this.fields.name.value = landmark.name || '';
+    this.fields.type.value = landmark.type || '';
+    this.fields.desc.value = landmark.desc || '';
+    this.fields.photoUrl.value = landmark.image_url?.startsWith('data:')
+      ? ''
+      : landmark.image_url || '';
+    this.fields.photoFile.value = '';
+    this.dialog.classList.remove('hidden');
+    this.fields.name.focus();
+  }
+
+  close() {
+    this.dialog.classList.add('hidden');
+    this.editing = null;
+  }
+
+  async save() {
+    const landmark = this.editing;
+    const name = this.fields.name.value.trim();
+    if (!landmark || !name) return;
+
+    let image_url = this.fields.photoUrl.value.trim();
+    const file = this.fields.photoFile.files?.[0];
+    if (file) {
+      try {
+        image_url = await readPhoto(file);
+      } catch (error) {
+        console.error('Error reading photo:', error);
+      }
+    } else if (!image_url && landmark.image_url?.startsWith('data:')) {
+      image_url = landmark.image_url; // keep the uploaded photo
+    }
+
+    const previous = { ...landmark };
+    Object.assign(landmark, {
+      name,
+      type: this.fields.type.value.trim(),
+      desc: this.fields.desc.value.trim(),
+      image_url, // '' skips the Wiki lookup
+      custom: true,
+    });
+    const created = !landmark.id;
+    if (created) {
+      landmark.id = `pin-${Date.now()}`;
+      this.landmarks.push(landmark);
+    }
+    if (!this.persist()) {
+      if (created) this.landmarks.pop();
+      else Object.assign(landmark, previous);
+      return;
+    }
+
+    this.close();
+    await this.redisplay(landmark);
+  }
+
+  async remove() {
+    const landmark = this.editing;
+    if (!landmark?.id) return;
+    this.landmarks = this.landmarks.filter((l) => l.id !== landmark.id);
+    this.persist();
+    this.close();
+    await this.redisplay(null, landmark.id);
+  }
+
+  /**
+   * Show the landmarks on the map again with a custom landmark changed
+   * @param {Object|null} landmark - Created or edited landmark
+   * @param {string} [removedId] - ID of a deleted landmark
+   */
+  async redisplay(landmark, removedId = null) {
+    const id = landmark?.id || removedId;
+    // Keeps the location of the set, cleared with the markers
+    const landmarkData = mapInterface.getLandmarkSet();
+    const shown = landmarkData.landmarks.filter((l) => l.id !== id);
+    if (landmark) shown.unshift(landmark);
+
+    document.getElementById('landmarks-list').innerHTML = '';
+    mapInterface.clearLandMarkers();
+    if (shown.length)
+      await mapInterface.displayLandmarks({
+        ...landmarkData,
+        landmarks: shown,
+      });
+  }
+}
+
+export const customLandmarks = new CustomLandmarks();
@@ -0,0 +1,191 @@
+/**
+ * Saved places
+ * keeps the landmarks starred on the sidebar cards and info windows in
+ * their own localStorage entry, apart from the expiring landmark cache,
+ * shows them again through mapInterface.displayLandmarks, and imports and
+ * exports them as JSON
+ */
+
+import { mapInterface } from './interfaces.js';
+import { downloadFile, handleError, validateCoords } from './utils.js';
+import { i18n } from './lion.js';
+import { toast } from './components.js';
+
+const FAVORITES_KEY = 'FAVORITES';
+const TEXT_FIELDS = ['name', 'local', 'type', 'loc', 'desc', 'image_url'];
+
+/**
+ * Identity of a place, its name and rounded coordinates
+ * @param {Object} landmark - Landmark {name, lat, lon}
+ * @returns {string} Key
+ */
+export function favoriteKey(landmark) {
+  const coords =
+    landmark.lat != null && landmark.lon != null
+      ? `@${Number(landmark.lat).toFixed(4)},${Number(landmark.lon).toFixed(4)}`
+      : '';
+  return `${landmark.name}${coords}`;
+}
+
+/**
+ * Saved place from a landmark, with only its display fields
+ * @param {Object} landmark - Landmark from a search or a file
+ * @returns {Object|null} Place, or null without a name or with invalid
+ *   coordinates
+ */
+export function toFavorite(landmark) {
+  if (!landmark?.name) return null;
+  const place = {};
+  TEXT_FIELDS.forEach((field) => {
+    if (landmark[field] != null) place[field] = String(landmark[field]);
+  });
+
+  const lat = parseFloat(landmark.lat);
+  const lon = parseFloat(landmark.lon);
+  if (!isNaN(lat) && !isNaN(lon)) {
+    if (!validateCoords(lat, lon)) return null;
+    place.lat = lat;
+    place.lon = lon;
+  }
+  return place;
+}
+
+/**
+ * Read saved places from an exported file
+ * @param {string} text - JSON, {favorites: [...]}, {landmarks: [...]} or
+ *   an array of places
+ * @returns {Array} Places, empty when none are valid
+ */
+export function parseFavorites(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  const list = Array.isArray(data)
+    ? data
+    : data?.favorites || data?.landmarks || [];
+  return Array.isArray(list) ? list.map(toFavorite).filter(Boolean) : [];
+}
+
+class Favorites {
+  constructor() {
+    this.places = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      this.places = JSON.parse(localStorage.getItem(FAVORITES_KEY)) || [];
+    } catch (error) {
+      console.error('Error loading saved places:', error);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(FAVORITES_KEY, JSON.stringify(this.places));
+    } catch (error) {
+      console.error('Error saving saved places:', error);
+    }
+  }
+
+  has(landmark) {
+    const key = favoriteKey(landmark);
+    return this.places.some((place) => favoriteKey(place) === key);
+  }
+
+  /**
+   * Save a landmark, or remove it when already saved
+   * @param {Object} landmark - Landmark {name, lat, lon, ...}
+   * @returns {boolean} Whether the landmark is saved
+   */
+  toggle(landmark) {
+    const key = favoriteKey(landmark);
+    const saved = !this.has(landmark);
+    if (saved) {
+      const place = toFavorite(landmark);
+      if (!place) return false;
+      this.places.unshift(place);
+    } else {
+      this.places = this.places.filter((place) => favoriteKey(place) !== key);
+    }
+    this.save();
+    window.dispatchEvent(
+      new CustomEvent('Favorites_changed', { detail: { key, saved } })
+    );
+    return saved;
+  }
+
+  /**
+   * Show the saved places on the map and in the landmarks sidebar
+   */
+  async show() {
+    if (!this.places.length) {
+      handleError(i18n.t('errors.no_favorites'));
+      return;
+    }
+    document.getElementById('landmarks-list').innerHTML = '';
+    mapInterface.clearLandMarkers();
+    await mapInterface.displayLandmarks({
+      landmarks: this.places.map((place) => ({
+        ...place,
+        image_url: place.image_url ?? '', // skip the Wiki lookup
+      })),
+    });
+  }
+
+  exportFile() {
+    if (!this.places.length) {
+      handleError(i18n.t('errors.no_favorites'));
+      return;
+    }
+    downloadFile(
+      JSON.stringify({ favorites: this.places }, null, 2),
+      'saved-places.json',
+      'application/json'
+    );
+  }
+
+  /**
+   * Ask for an exported file and add its places
+   */
+  selectFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (file) await this.import(await file.text());
+    });
+    input.click();
+  }
+
+  /**
+   * Add the places of an exported file, skipping those already saved
+   * @param {string} text - File content
+   */
+  async import(text) {
+    const places = parseFavorites(text);
+    if (!places.length) {
+      handleError(i18n.t('errors.invalid_favorites_file'));
+      return;
+    }
+    const keys = new Set(this.places.map(favoriteKey));
+    const added = places.filter((place) => {
+      const key = favoriteKey(place);
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    });
+    this.places.push(...added);
+    this.save();
+    toast.show({
+      title: i18n.t('favorites.imported', { count: added.length }),
+    });
+    await this.show();
+  }
+}
+
+export const favorites = new Favorites();
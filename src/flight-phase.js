@@ -0,0 +1,160 @@
+import { distance_km } from './utils.js';
+
+/**
+ * Flight phase detection from aircraft telemetry
+ * emits 'FlightPhase_changed' events with {phase, previous, aircraftData}
+ * Phases: taxi, takeoff, climb, cruise, descent, approach, landed
+ */
+
+const KNOTS_TO_MPS = 0.514444;
+const MPS_TO_FPM = 196.85;
+const TAKEOFF_SPEED_KT = 40; // ground roll faster than any taxi
+const TAXI_SPEED_KT = 30; // landing rollout ends below this
+const AIRBORNE_SPEED_KT = 35; // guess when on_ground is not reported
+const CLIMB_VS_FPM = 300;
+const DESCENT_VS_FPM = -300;
+const INITIAL_CLIMB_M = 300; // takeoff ends 1000 ft above the field
+const APPROACH_HEIGHT_M = 900; // descending within 3000 ft of the field
+const VS_SMOOTHING = 0.3; // weight of the latest vertical speed
+const CONFIRM_SAMPLES = 3; // airborne phases must hold this many samples
+const MAX_GAP_S = 60; // start over after a longer telemetry gap
+
+const AIRBORNE_PHASES = ['climb', 'cruise', 'descent', 'approach'];
+
+export class FlightPhaseDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.phase = null;
+    this.previous = null;
+    this.candidate = null;
+    this.candidateCount = 0;
+    this.fieldElevation = null; // altitude at the last ground contact
+    this.verticalSpeed = 0; // smoothed, in feet per minute
+    this.last = null;
+  }
+
+  /**
+   * Subscribe to live telemetry and emit phase changes
+   */
+  init() {
+    window.addEventListener('SimConnect_telemetry', (event) => {
+      const aircraftData = event.detail;
+      if (aircraftData.replay) return;
+
+      const phase = this.update(aircraftData);
+      if (!phase) return;
+      console.log(`🛫 Flight phase: ${this.previous || '-'} → ${phase}`);
+      window.dispatchEvent(
+        new CustomEvent('FlightPhase_changed', {
+          detail: { phase, previous: this.previous, aircraftData },
+        })
+      );
+    });
+  }
+
+  /**
+   * Feed one telemetry sample
+   * @param {Object} aircraftData - Telemetry data from SimConnect
+   * @returns {string|null} The new phase when it changed, otherwise null
+   */
+  update(aircraftData) {
+    const t = aircraftData.last_update ?? Date.now() / 1000;
+    const sample = {
+      lat: aircraftData.latitude,
+      lng: aircraftData.longitude,
+      alt: aircraftData.altitude || 0,
+      t,
+    };
+
+    const prev = this.last;
+    const dt = prev ? t - prev.t : 0;
+    if (prev && dt <= 0) return null; // repeated sample
+    if (dt > MAX_GAP_S) this.reset();
+
+    // Older proxies only report position, derive the speeds from it
+    let groundSpeed = aircraftData.ground_speed;
+    let verticalSpeed = aircraftData.vertical_speed;
+    if (this.last) {
+      groundSpeed ??=
+        (distance_km(prev.lat, prev.lng, sample.lat, sample.lng) * 1000) /
+        dt /
+        KNOTS_TO_MPS;
+      verticalSpeed ??= ((sample.alt - prev.alt) / dt) * MPS_TO_FPM;
+      this.verticalSpeed += VS_SMOOTHING * (verticalSpeed - this.verticalSpeed);
+    } else {
+      this.verticalSpeed = verticalSpeed ?? 0;
+    }
+    this.last = sample;
+
+    const onGround =
+      aircraftData.on_ground ?? (groundSpeed ?? 0) < AIRBORNE_SPEED_KT;
+    const candidate = onGround
+      ? this.groundPhase(groundSpeed ?? 0, sample.alt)
+      : this.airPhase(sample.alt);
+    return this.confirm(candidate, onGround);
+  }
+
+  groundPhase(groundSpeed, altitude) {
+    this.fieldElevation = altitude;
+    if (AIRBORNE_PHASES.includes(this.phase)) return 'landed';
+    if (this.phase === 'landed') {
+      return groundSpeed < TAXI_SPEED_KT ? 'taxi' : 'landed';
+    }
+    return groundSpeed >= TAKEOFF_SPEED_KT ? 'takeoff' : 'taxi';
+  }
+
+  airPhase(altitude) {
+    const height = altitude - (this.fieldElevation ?? 0);
+    const vs = this.verticalSpeed;
+
+    // Lift-off, including touch-and-go, until the initial climb is done
+    if (
+      ['taxi', 'takeoff', 'landed'].includes(this.phase) &&
+      height < INITIAL_CLIMB_M
+    ) {
+      return 'takeoff';
+    }
+    if (vs > CLIMB_VS_FPM) return 'climb';
+    if (vs < DESCENT_VS_FPM) {
+      return height < APPROACH_HEIGHT_M || this.phase === 'approach'
+        ? 'approach'
+        : 'descent';
+    }
+    // Level segments in the pattern are still part of the approach
+    if (this.phase === 'approach' && height < APPROACH_HEIGHT_M) {
+      return 'approach';
+    }
+    return 'cruise';
+  }
+
+  /**
+   * Debounce airborne phases so short level-offs do not flap
+   * @returns {string|null} The new phase when it changed
+   */
+  confirm(candidate, onGround) {
+    if (candidate === this.phase) {
+      this.candidate = null;
+      this.candidateCount = 0;
+      return null;
+    }
+
+    if (candidate !== this.candidate) {
+      this.candidate = candidate;
+      this.candidateCount = 0;
+    }
+    const immediate =
+      onGround || candidate === 'takeoff' || this.phase === null;
+    if (!immediate && ++this.candidateCount < CONFIRM_SAMPLES) return null;
+
+    this.previous = this.phase;
+    this.phase = candidate;
+    this.candidate = null;
+    this.candidateCount = 0;
+    return candidate;
+  }
+}
+
+export const flightPhase = new FlightPhaseDetector();
@@ -0,0 +1,179 @@
+import { toGPX, toKML, toIGC } from './tracklog.js';
+import { handleError, downloadFile } from './utils.js';
+import { i18n } from './lion.js';
+import { toast } from './components.js';
+
+/**
+ * Flight recorder buffering aircraft telemetry as a track log
+ * Persists to localStorage so a flight survives page reloads
+ */
+
+const FLIGHT_LOG_KEY = 'FLIGHT_LOG';
+const PREVIOUS_FLIGHT_LOG_KEY = 'FLIGHT_LOG_PREVIOUS'; // kept on a new flight
+const MAX_SAMPLES = 43200; // 12 hours at 1Hz
+const SAVE_EVERY = 10; // persist every N samples
+const NEW_FLIGHT_GAP_MS = 30 * 60 * 1000; // 30 minutes without telemetry
+
+// Compact arrays keep the log well within localStorage quota
+const packLog = (aircraft, samples) =>
+  JSON.stringify({
+    aircraft,
+    samples: samples.map((s) => [s.t, s.lat, s.lon, s.alt, s.hdg]),
+  });
+
+function unpackLog(text) {
+  const log = JSON.parse(text);
+  if (!log?.samples) return null;
+  return {
+    aircraft: log.aircraft || '',
+    samples: log.samples.map(([t, lat, lon, alt, hdg]) => ({
+      lat,
+      lon,
+      alt,
+      hdg,
+      t,
+    })),
+  };
+}
+
+class FlightRecorder {
+  constructor() {
+    this.samples = [];
+    this.aircraft = '';
+    this.unsaved = 0;
+  }
+
+  /**
+   * Restore the last flight and start listening for telemetry
+   */
+  init() {
+    this.load();
+    window.addEventListener('SimConnect_telemetry', (event) => {
+      if (!event.detail.replay) this.addSample(event.detail);
+    });
+    window.addEventListener('beforeunload', () => {
+      if (this.unsaved) this.save();
+    });
+  }
+
+  /**
+   * Buffer one telemetry sample
+   * @param {Object} aircraftData - Telemetry data from SimConnect
+   */
+  addSample(aircraftData) {
+    const t = aircraftData.last_update
+      ? aircraftData.last_update * 1000
+      : Date.now();
+
+    // Start a new flight after a long break in telemetry
+    const last = this.samples[this.samples.length - 1];
+    if (last && t - last.t > NEW_FLIGHT_GAP_MS) this.startNewFlight();
+
+    this.samples.push({
+      lat: aircraftData.latitude,
+      lon: aircraftData.longitude,
+      alt: aircraftData.altitude || 0,
+      hdg: aircraftData.heading || 0,
+      t,
+    });
+    if (aircraftData.title) this.aircraft = aircraftData.title;
+    if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+
+    if (++this.unsaved >= SAVE_EVERY) this.save();
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        FLIGHT_LOG_KEY,
+        packLog(this.aircraft, this.samples)
+      );
+      this.unsaved = 0;
+    } catch (error) {
+      console.error('Error saving flight log:', error);
+    }
+  }
+
+  load() {
+    try {
+      const log = unpackLog(localStorage.getItem(FLIGHT_LOG_KEY));
+      if (!log) return;
+      this.aircraft = log.aircraft;
+      this.samples = log.samples;
+    } catch (error) {
+      console.error(`Error loading ${FLIGHT_LOG_KEY}:`, error);
+    }
+  }
+
+  /**
+   * Keep the recorded flight as the previous one and start over
+   */
+  startNewFlight() {
+    if (this.samples.length >= 2) {
+      try {
+        localStorage.setItem(
+          PREVIOUS_FLIGHT_LOG_KEY,
+          packLog(this.aircraft, this.samples)
+        );
+        toast.show({
+          title: i18n.t('recorder.new_flight'),
+          text: i18n.t('recorder.previous_flight_kept'),
+          onClick: () => this.export('gpx', true),
+        });
+      } catch (error) {
+        console.error('Error keeping previous flight log:', error);
+      }
+    }
+    this.clear();
+  }
+
+  clear() {
+    this.samples = [];
+    this.unsaved = 0;
+    localStorage.removeItem(FLIGHT_LOG_KEY);
+  }
+
+  /**
+   * Download the recorded flight
+   * @param {string} format - One of 'gpx', 'kml' or 'igc'
+   * @param {boolean} previous - Download the flight before the current one
+   */
+  export(format, previous = false) {
+    let log = this;
+    if (previous) {
+      try {
+        log = unpackLog(localStorage.getItem(PREVIOUS_FLIGHT_LOG_KEY));
+      } catch (error) {
+        console.error(`Error loading ${PREVIOUS_FLIGHT_LOG_KEY}:`, error);
+        log = null;
+      }
+    }
+    const { samples, aircraft } = log || { samples: [] };
+    if (samples.length < 2) {
+      handleError(i18n.t('errors.no_flight_recorded'));
+      return;
+    }
+
+    const start = new Date(samples[0].t);
+    const name = `Flight ${start.toISOString().slice(0, 16).replace('T', ' ')}`;
+    const filename = `flight-${start
+      .toISOString()
+      .slice(0, 16)
+      .replace(/[-:]/g, '')
+      .replace('T', '-')}.${format}`;
+
+    if (format === 'gpx') {
+      downloadFile(toGPX(samples, name), filename, 'application/gpx+xml');
+    } else if (format === 'kml') {
+      downloadFile(
+        toKML(samples, name),
+        filename,
+        'application/vnd.google-earth.kml+xml'
+      );
+    } else if (format === 'igc') {
+      downloadFile(toIGC(samples, { aircraft }), filename, 'text/plain');
+    }
+  }
+}
+
+export const flightRecorder = new FlightRecorder();
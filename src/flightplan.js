@@ -0,0 +1,188 @@
+/**
+ * Flight plan file formats from external planners
+ * Waypoints are {ident, name, type, lat, lon, alt} with altitude in
+ * meters, or null when the plan leaves it to the pilot
+ */
+
+const FEET_TO_METERS = 0.3048;
+
+function xmlText(body, tag) {
+  const value = body.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1];
+  return value == null ? null : decodeXML(value.trim());
+}
+
+function xmlAttr(attrs, name) {
+  const value = attrs.match(new RegExp(`\\b${name}=["']([^"']*)`))?.[1];
+  return value == null ? null : decodeXML(value);
+}
+
+function decodeXML(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an MSFS world position, e.g. N37° 37' 8.00",W122° 22' 30.00",+000013.00
+ * @param {string} text - WorldPosition value, altitude in feet
+ * @returns {Object|null} {lat, lon, alt} with altitude in meters
+ */
+export function parseWorldPosition(text) {
+  const coord = `([NSEW])\\s*(\\d+)°\\s*(?:([\\d.]+)'\\s*)?(?:([\\d.]+)")?`;
+  const m = text?.match(
+    new RegExp(`^\\s*${coord}\\s*,\\s*${coord}\\s*,?\\s*([-+\\d.]*)`)
+  );
+  if (!m) return null;
+
+  const toDegrees = (hemisphere, deg, min, sec) =>
+    (parseInt(deg) + parseFloat(min || 0) / 60 + parseFloat(sec || 0) / 3600) *
+    (hemisphere === 'S' || hemisphere === 'W' ? -1 : 1);
+  const lat = toDegrees(m[1], m[2], m[3], m[4]);
+  const lon = toDegrees(m[5], m[6], m[7], m[8]);
+  const alt = parseFloat(m[9]);
+  return { lat, lon, alt: isNaN(alt) ? null : alt * FEET_TO_METERS };
+}
+
+/**
+ * Parse an MSFS .pln flight plan
+ * @param {string} text - PLN XML content
+ * @returns {Array} Waypoints
+ */
+export function parsePLN(text) {
+  const waypoints = [];
+  const entries = text.matchAll(
+    /<ATCWaypoint\b([^>]*)>([\s\S]*?)<\/ATCWaypoint>/g
+  );
+  for (const [, attrs, body] of entries) {
+    const position = parseWorldPosition(xmlText(body, 'WorldPosition'));
+    if (!position) continue;
+    const ident = xmlText(body, 'ICAOIdent') || xmlAttr(attrs, 'id') || '';
+    waypoints.push({
+      ident,
+      name: xmlAttr(attrs, 'id') || ident,
+      type: (xmlText(body, 'ATCWaypointType') || '').toLowerCase(),
+      ...position,
+    });
+  }
+  return waypoints;
+}
+
+/**
+ * Parse a Little Navmap .lnmpln flight plan
+ * @param {string} text - LNMPLN XML content
+ * @returns {Array} Waypoints
+ */
+export function parseLNMPLN(text) {
+  const waypoints = [];
+  const entries = text.matchAll(/<Waypoint>([\s\S]*?)<\/Waypoint>/g);
+  for (const [, body] of entries) {
+    const pos = body.match(/<Pos\b([^>]*)\/?>/)?.[1];
+    if (!pos) continue;
+    const lat = parseFloat(xmlAttr(pos, 'Lat'));
+    const lon = parseFloat(xmlAttr(pos, 'Lon'));
+    const alt = parseFloat(xmlAttr(pos, 'Alt'));
+    if (isNaN(lat) || isNaN(lon)) continue;
+    const ident = xmlText(body, 'Ident') || '';
+    waypoints.push({
+      ident,
+      name: xmlText(body, 'Name') || ident,
+      type: (xmlText(body, 'Type') || '').toLowerCase(),
+      lat,
+      lon,
+      alt: isNaN(alt) ? null : alt * FEET_TO_METERS,
+    });
+  }
+  return waypoints;
+}
+
+/**
+ * Parse a SimBrief OFP (XML) navigation log
+ * @param {string} text - OFP XML content
+ * @returns {Array} Waypoints, from origin to destination
+ */
+export function parseSimBriefOFP(text) {
+  const toWaypoint = (body, type) => {
+    const lat = parseFloat(xmlText(body, 'pos_lat'));
+    const lon = parseFloat(xmlText(body, 'pos_long'));
+    if (isNaN(lat) || isNaN(lon)) return null;
+    const ident = xmlText(body, 'ident') || xmlText(body, 'icao_code') || '';
+    const alt = parseFloat(
+      xmlText(body, 'altitude_feet') ?? xmlText(body, 'elevation')
+    );
+    return {
+      ident,
+      name: xmlText(body, 'name') || ident,
+      type: type || xmlText(body, 'type') || '',
+      lat,
+      lon,
+      alt: isNaN(alt) ? null : alt * FEET_TO_METERS,
+    };
+  };
+
+  const waypoints = [];
+  const origin = text.match(/<origin>([\s\S]*?)<\/origin>/)?.[1];
+  const destination = text.match(/<destination>([\s\S]*?)<\/destination>/)?.[1];
+  if (origin) waypoints.push(toWaypoint(origin, 'airport'));
+  for (const [, body] of text.matchAll(/<fix>([\s\S]*?)<\/fix>/g)) {
+    waypoints.push(toWaypoint(body));
+  }
+  if (destination) waypoints.push(toWaypoint(destination, 'airport'));
+
+  // The navlog already ends at the destination airport
+  return waypoints.filter(
+    (wpt, i, all) => wpt && (i === 0 || wpt.ident !== all[i - 1]?.ident)
+  );
+}
+
+/**
+ * Parse a GPX route, or plain waypoints when the file has no route
+ * @param {string} text - GPX content
+ * @returns {Array} Waypoints
+ */
+export function parseGPXRoute(text) {
+  const parse = (tag) => {
+    const waypoints = [];
+    const points = text.matchAll(
+      new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g')
+    );
+    for (const [, attrs, body = ''] of points) {
+      const lat = parseFloat(xmlAttr(attrs, 'lat'));
+      const lon = parseFloat(xmlAttr(attrs, 'lon'));
+      if (isNaN(lat) || isNaN(lon)) continue;
+      const ele = parseFloat(xmlText(body, 'ele'));
+      const name = xmlText(body, 'name') || `WPT${waypoints.length + 1}`;
+      waypoints.push({
+        ident: name,
+        name: xmlText(body, 'desc') || name,
+        type: (xmlText(body, 'type') || '').toLowerCase(),
+        lat,
+        lon,
+        alt: isNaN(ele) ? null : ele,
+      });
+    }
+    return waypoints;
+  };
+
+  const route = parse('rtept');
+  return route.length ? route : parse('wpt');
+}
+
+/**
+ * Parse a flight plan file in any supported format
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to detect the format
+ * @returns {Array} Waypoints
+ */
+export function parseFlightPlan(text, filename = '') {
+  if (/\.lnmpln$/i.test(filename) || /<LittleNavmap\b/.test(text)) {
+    return parseLNMPLN(text);
+  }
+  if (/\.pln$/i.test(filename) || /<FlightPlan\.FlightPlan\b/.test(text)) {
+    return parsePLN(text);
+  }
+  if (/<OFP\b/.test(text)) return parseSimBriefOFP(text);
+  return parseGPXRoute(text);
+}
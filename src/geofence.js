@@ -0,0 +1,57 @@
+import { distance_km } from './utils.js';
+
+/**
+ * Proximity geofence around points of interest
+ * reports each point once when entering its radius, and again only
+ * after leaving a wider exit radius so GPS jitter does not repeat alerts
+ */
+
+const EXIT_FACTOR = 1.5; // exit radius relative to the alert radius
+
+export class Geofence {
+  /**
+   * @param {number} radius_km - Alert radius in kilometers
+   */
+  constructor(radius_km) {
+    this.radius_km = radius_km;
+    this.inside = new Set(); // keys of points within the fence
+  }
+
+  /**
+   * Check a position against the current points
+   * @param {Object} position - {lat, lon}
+   * @param {Array} points - Points {key, lat, lon, ...}
+   * @returns {Array} Points entered since the last update, with distance_km
+   */
+  update(position, points) {
+    const entered = [];
+    const present = new Set();
+    for (const point of points) {
+      present.add(point.key);
+      const distance = distance_km(
+        position.lat,
+        position.lon,
+        point.lat,
+        point.lon
+      );
+      if (this.inside.has(point.key)) {
+        if (distance > this.radius_km * EXIT_FACTOR) {
+          this.inside.delete(point.key);
+        }
+      } else if (distance <= this.radius_km) {
+        this.inside.add(point.key);
+        entered.push({ ...point, distance_km: distance });
+      }
+    }
+
+    // Forget points no longer displayed
+    for (const key of this.inside) {
+      if (!present.has(key)) this.inside.delete(key);
+    }
+    return entered.sort((a, b) => a.distance_km - b.distance_km);
+  }
+
+  reset() {
+    this.inside.clear();
+  }
+}
@@ -357,3 +357,46 @@ export async function PlaceNearbySearch(
     console.error('Error fetching landmarks:', error);
   }
 }
+
+/**
+ * Terrain elevation sampled evenly along a path, with a synthetic
+ * terrain in test mode
+ * @param {Array} path - Points {lat, lng}, at most 512
+ * @param {number} samples - Number of samples, at most 512
+ * @returns {Array} Samples {lat, lng, elevation} with elevation in meters
+ */
+export async function getElevationAlongPath(path, samples) {
+  if (isTestMode()) {
+    console.log('Using test elevation (test mode enabled)');
+    return Array.from({ length: samples }, (_, i) => {
+      const t = samples > 1 ? (i / (samples - 1)) * (path.length - 1) : 0;
+      const from = path[Math.floor(t)];
+      const to = path[Math.min(path.length - 1, Math.floor(t) + 1)];
+      const f = t - Math.floor(t);
+      const lat = from.lat + (to.lat - from.lat) * f;
+      const lng = from.lng + (to.lng - from.lng) * f;
+      const elevation = Math.max(
+        0,
+        150 + 120 * Math.sin(lat * 40) * Math.cos(lng * 40)
+      );
+      return { lat, lng, elevation };
+    });
+  }
+
+  try {
+    // eslint-disable-next-line no-undef
+    const { ElevationService } = await google.maps.importLibrary('elevation');
+    const { results } = await new ElevationService().getElevationAlongPath({
+      path,
+      samples,
+    });
+    return results.map((result) => ({
+      lat: result.location.lat(),
+      lng: result.location.lng(),
+      elevation: result.elevation,
+    }));
+  } catch (error) {
+    console.error('Error fetching elevation:', error);
+    return [];
+  }
+}
@@ -45,6 +45,8 @@ class MapInterface {
       mapPanTo: () => {},
       displayLandmarks: async () => {},
       clearLandMarkers: () => {},
+      getLandmarks: () => [],
+      getLandmarkSet: () => ({ landmarks: [] }),
     };
   }
 
@@ -67,6 +69,14 @@ class MapInterface {
   clearLandMarkers(...args) {
     return this.mapFns.clearLandMarkers(...args);
   }
+
+  getLandmarks(...args) {
+    return this.mapFns.getLandmarks(...args);
+  }
+
+  getLandmarkSet(...args) {
+    return this.mapFns.getLandmarkSet(...args);
+  }
 }
 
 export const mapInterface = new MapInterface();
@@ -0,0 +1,107 @@
+/**
+ * Landmark set files
+ * exports the landmarks shown on the map as GeoJSON, KML or CSV, and
+ * shows landmark files chosen from the More menu or dropped on the map
+ */
+
+import { mapInterface } from './interfaces.js';
+import { downloadFile, handleError } from './utils.js';
+import { i18n } from './lion.js';
+import {
+  toGeoJSON,
+  toLandmarkKML,
+  toCSV,
+  parseLandmarkFile,
+} from './landmark-formats.js';
+
+const FORMATS = {
+  geojson: { write: toGeoJSON, mimeType: 'application/geo+json' },
+  kml: {
+    write: toLandmarkKML,
+    mimeType: 'application/vnd.google-earth.kml+xml',
+  },
+  csv: { write: toCSV, mimeType: 'text/csv' },
+};
+
+class LandmarkFiles {
+  /**
+   * Show landmark files dropped on the map
+   * @param {HTMLElement} dropTarget - Map element
+   */
+  init(dropTarget) {
+    dropTarget.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer?.types.includes('Files')) return;
+      event.preventDefault();
+      dropTarget.classList.add('drop-target');
+    });
+    dropTarget.addEventListener('dragleave', () => {
+      dropTarget.classList.remove('drop-target');
+    });
+    dropTarget.addEventListener('drop', async (event) => {
+      const file = event.dataTransfer?.files?.[0];
+      if (!file) return;
+      event.preventDefault();
+      dropTarget.classList.remove('drop-target');
+      await this.load(await file.text(), file.name);
+    });
+  }
+
+  /**
+   * Download the landmarks shown on the map
+   * @param {string} format - 'geojson', 'kml' or 'csv'
+   */
+  export(format) {
+    const landmarkData = mapInterface.getLandmarkSet();
+    if (!landmarkData.landmarks.length) {
+      handleError(i18n.t('errors.no_landmarks_to_export'));
+      return;
+    }
+    const name = (landmarkData.location || 'landmarks')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-|-$/g, '');
+    const { write, mimeType } = FORMATS[format];
+    downloadFile(write(landmarkData), `${name}.${format}`, mimeType);
+  }
+
+  /**
+   * Ask for a landmark file and show it on the map
+   */
+  selectFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.geojson,.json,.kml,.csv';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (file) await this.load(await file.text(), file.name);
+    });
+    input.click();
+  }
+
+  /**
+   * Show the landmarks of a file in place of the current ones
+   * @param {string} text - GeoJSON, KML or CSV content
+   * @param {string} filename - File name, used to detect the format
+   */
+  async load(text, filename) {
+    let landmarkData;
+    try {
+      landmarkData = parseLandmarkFile(text, filename);
+    } catch (error) {
+      console.error('Error reading landmark file:', error);
+    }
+    if (!landmarkData?.landmarks?.length) {
+      handleError(i18n.t('errors.invalid_landmark_file'));
+      return;
+    }
+
+    document.getElementById('landmarks-list').innerHTML = '';
+    mapInterface.clearLandMarkers();
+    await mapInterface.displayLandmarks(landmarkData);
+    const [lat, lon] = landmarkData.coordinates || [];
+    const first = landmarkData.landmarks[0];
+    mapInterface.mapPanTo(lat ?? first.lat, lon ?? first.lon, 0);
+  }
+}
+
+export const landmarkFiles = new LandmarkFiles();
@@ -0,0 +1,302 @@
+import { escapeHTML, validateCoords } from './utils.js';
+
+/**
+ * Landmark set file formats
+ * Landmark sets are {location, coordinates, landmarks} as returned by
+ * get_landmark_data, landmarks {name, local, type, loc, desc, lat, lon,
+ * image_url}
+ */
+
+const TEXT_FIELDS = ['name', 'local', 'type', 'loc', 'desc', 'image_url'];
+const CSV_FIELDS = [
+  'name',
+  'local',
+  'type',
+  'loc',
+  'desc',
+  'lat',
+  'lon',
+  'image_url',
+];
+
+// Column names from other tools, by landmark field
+const CSV_ALIASES = {
+  name: ['name', 'title'],
+  local: ['local', 'local_name'],
+  type: ['type', 'category'],
+  loc: ['loc', 'address', 'location'],
+  desc: ['desc', 'description', 'notes'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  image_url: ['image_url', 'image', 'photo'],
+};
+
+const hasCoords = (landmark) => landmark.lat != null && landmark.lon != null;
+
+/**
+ * Landmark from imported fields, null without a name or a valid position
+ */
+function toLandmark(fields) {
+  const name = fields.name?.toString().trim();
+  const lat = parseFloat(fields.lat);
+  const lon = parseFloat(fields.lon);
+  if (!name || !validateCoords(lat, lon)) return null;
+
+  const landmark = {};
+  TEXT_FIELDS.forEach((field) => {
+    const value = fields[field]?.toString().trim();
+    if (value) landmark[field] = value;
+  });
+  return { ...landmark, lat, lon };
+}
+
+function textFields(landmark) {
+  const fields = {};
+  TEXT_FIELDS.forEach((field) => {
+    if (landmark[field] != null && landmark[field] !== '')
+      fields[field] = String(landmark[field]);
+  });
+  return fields;
+}
+
+/**
+ * Export a landmark set as a GeoJSON FeatureCollection of points
+ * @param {Object} landmarkData - Landmark set
+ * @returns {string} GeoJSON document, with location and coordinates kept
+ *   as foreign members
+ */
+export function toGeoJSON(landmarkData) {
+  const { location, coordinates, landmarks = [] } = landmarkData;
+  return JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      location,
+      coordinates,
+      features: landmarks.filter(hasCoords).map((landmark) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [landmark.lon, landmark.lat] },
+        properties: textFields(landmark),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Export a landmark set as KML placemarks
+ * @param {Object} landmarkData - Landmark set
+ * @returns {string} KML document
+ */
+export function toLandmarkKML(landmarkData) {
+  const { location, landmarks = [] } = landmarkData;
+  const placemarks = landmarks
+    .filter(hasCoords)
+    .map((landmark) => {
+      const { name, desc, ...extra } = textFields(landmark);
+      const data = Object.entries(extra)
+        .map(
+          ([key, value]) =>
+            `        <Data name="${key}"><value>${escapeHTML(value)}</value></Data>`
+        )
+        .join('\n');
+      return `    <Placemark>
+      <name>${escapeHTML(name)}</name>
+      <description>${escapeHTML(desc)}</description>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${landmark.lon},${landmark.lat}</coordinates></Point>
+    </Placemark>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHTML(location || 'Landmarks')}</name>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function csvValue(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a landmark set as CSV with a header row
+ * @param {Object} landmarkData - Landmark set
+ * @returns {string} CSV document
+ */
+export function toCSV(landmarkData) {
+  const rows = (landmarkData.landmarks || []).map((landmark) =>
+    CSV_FIELDS.map((field) => csvValue(landmark[field])).join(',')
+  );
+  return [CSV_FIELDS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection or Feature of points
+ * @param {string} text - GeoJSON content
+ * @returns {Object} Landmark set
+ */
+export function parseGeoJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { landmarks: [] };
+  }
+  let features = data?.type === 'Feature' ? [data] : data?.features;
+  if (!Array.isArray(features)) features = [];
+  const landmarks = features
+    .filter((feature) => feature?.geometry?.type === 'Point')
+    .map((feature) => {
+      const properties = feature.properties || {};
+      const point = feature.geometry.coordinates;
+      const [lon, lat] = Array.isArray(point) ? point : [];
+      return toLandmark({
+        ...properties,
+        name: properties.name ?? properties.title,
+        desc: properties.desc ?? properties.description,
+        lat,
+        lon,
+      });
+    })
+    .filter(Boolean);
+  // Foreign members from the file, used only when well-formed
+  const { location, coordinates } = data || {};
+  return {
+    location: typeof location === 'string' ? location : undefined,
+    coordinates:
+      Array.isArray(coordinates) &&
+      coordinates.length === 2 &&
+      coordinates.every(Number.isFinite)
+        ? coordinates
+        : undefined,
+    landmarks,
+  };
+}
+
+function decodeXML(text) {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlText(body, tag) {
+  const value = body.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1];
+  return value == null ? null : decodeXML(value).trim();
+}
+
+/**
+ * Parse KML point placemarks, with ExtendedData fields
+ * @param {string} text - KML content
+ * @returns {Object} Landmark set
+ */
+export function parseLandmarkKML(text) {
+  const landmarks = [];
+  const placemarks = text.matchAll(
+    /<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g
+  );
+  for (const [, body] of placemarks) {
+    const point = body.match(
+      /<Point\b[\s\S]*?<coordinates>\s*([^<]+?)\s*<\/coordinates>/
+    );
+    if (!point) continue;
+    const [lon, lat] = point[1].split(',');
+
+    const fields = {
+      name: xmlText(body, 'name'),
+      desc: xmlText(body, 'description'),
+    };
+    const data = body.matchAll(
+      /<Data\s+name=["']([^"']+)["'][^>]*>\s*<value>([\s\S]*?)<\/value>/g
+    );
+    for (const [, key, value] of data) fields[key] ??= decodeXML(value);
+
+    const landmark = toLandmark({ ...fields, lat, lon });
+    if (landmark) landmarks.push(landmark);
+  }
+
+  const header = text.split(/<Placemark\b/)[0];
+  return { location: xmlText(header, 'name') || undefined, landmarks };
+}
+
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') field += text[++i];
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+/**
+ * Parse CSV with a header row naming the columns
+ * @param {string} text - CSV content
+ * @returns {Object} Landmark set
+ */
+export function parseCSV(text) {
+  const [header = [], ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+  const names = header.map((name) => name.trim().toLowerCase());
+  const columns = {};
+  Object.entries(CSV_ALIASES).forEach(([field, aliases]) => {
+    const index = names.findIndex((name) => aliases.includes(name));
+    if (index >= 0) columns[field] = index;
+  });
+
+  const landmarks = rows
+    .map((row) => {
+      const fields = {};
+      Object.entries(columns).forEach(([field, index]) => {
+        fields[field] = row[index];
+      });
+      return toLandmark(fields);
+    })
+    .filter(Boolean);
+  return { landmarks };
+}
+
+/**
+ * Parse a landmark set file
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to detect the format
+ * @returns {Object} Landmark set, with no landmarks when none are valid
+ */
+export function parseLandmarkFile(text, filename = '') {
+  if (/\.(geo)?json$/i.test(filename) || /^\s*[{[]/.test(text))
+    return parseGeoJSON(text);
+  if (/\.kml$/i.test(filename) || /<kml\b/.test(text))
+    return parseLandmarkKML(text);
+  return parseCSV(text);
+}
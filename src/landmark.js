@@ -1,20 +1,50 @@
 /* eslint-disable no-undef */
 import { getWikiImageURL } from './wiki.js';
-import { validateCoords, escapeHTML } from './utils.js';
+import {
+  validateCoords,
+  escapeHTML,
+  getConfig,
+  getSettings,
+  handleError,
+} from './utils.js';
 import { mapInterface } from './interfaces.js';
-import { getLastKnownPosition, fetchAircraftData } from './simconnect.js';
+import {
+  getLastKnownPosition,
+  getFlightTrail,
+  fetchAircraftData,
+  isAircraftReplaying,
+} from './simconnect.js';
 import { i18n, setTooltip } from './lion.js';
+import { Geofence } from './geofence.js';
+import { ChaseCam, CHASE_CAM_PRESETS } from './chase-cam.js';
+import { FlightTrack3D } from './track3d.js';
+import { toast } from './components.js';
+import { MarkerClusterer } from './cluster.js';
+import { categorize, categoryFilter } from './categories.js';
+import { favorites, favoriteKey } from './favorites.js';
+import { customLandmarks } from './custom-landmarks.js';
 
 // DOM Elements
 const landmarkSidebar = document.getElementById('landmarks-sidebar');
 const landmarksList = document.getElementById('landmarks-list');
 const closeLandmarksButton = document.getElementById('close-landmarks');
+const landmarkFilter = document.getElementById('landmark-filter');
 
 // Map instance
 let map;
 // Store markers for landmarks
 const landMarkers = [];
 const infoWindows = [];
+// Location and search center of the landmarks shown
+let landmarkSetInfo = {};
+// Star buttons on the cards and info windows, by saved place key
+const favoriteButtons = [];
+// Clusters the landmark markers by zoom
+let clusterer = null;
+
+// Proximity alerts while flying past landmarks
+let geofence = null;
+let speakAlerts = false;
 
 export function initLandmark() {
   // Get map instance from global scope (set in map.js)
@@ -23,15 +53,26 @@ export function initLandmark() {
     console.error('Map instance not found. Please initialize the map first.');
     return;
   }
+  clusterer = new MarkerClusterer(map);
+  clusterer.setFilter(showsMarker);
 
   // Add click event to close landmarks panel
   closeLandmarksButton.addEventListener('click', () => {
     landmarkSidebar.classList.add('hidden');
   });
 
+  window.addEventListener('Favorites_changed', (event) => {
+    const { key, saved } = event.detail;
+    favoriteButtons
+      .filter((button) => button.dataset.favorite === key)
+      .forEach((button) => showFavorite(button, saved));
+  });
+
   mapInterface.setMapInterface({
     displayLandmarks,
     clearLandMarkers,
+    getLandmarks,
+    getLandmarkSet,
   });
 }
 
@@ -46,6 +87,8 @@ export async function displayLandmarks(landmark_data) {
 
   // Clear existing info windows
   infoWindows.forEach((iw) => iw.close());
+  const { location, coordinates } = landmark_data;
+  if (location || coordinates) landmarkSetInfo = { location, coordinates };
 
   // Process each landmark sequentially with proper async/await
   for (const landmark of landmark_data.landmarks) {
@@ -69,7 +112,7 @@ export async function displayLandmarks(landmark_data) {
     if ('image_url' in landmark && landmark.image_url != null) {
       imageUrl = landmark.image_url;
       if (imageUrl) {
-        if (!imageUrl.startsWith('http'))
+        if (!/^(https?|data):/.test(imageUrl))
           imageUrl = window.location.origin + imageUrl;
       } else console.debug(`${landmark.name}: skipped image`);
     } else {
@@ -91,7 +134,12 @@ export async function displayLandmarks(landmark_data) {
 
     // Create sidebar element
     const index = landMarkers.length;
+    const category = categorize(landmark.type);
     const landmarkElement = createSidebarElement(landmark, index);
+    landmarkElement.dataset.category = category.id;
+    const header = landmarkElement.querySelector('.landmark-header');
+    if (landmark.custom) header.appendChild(createEditButton(landmark));
+    header.appendChild(createFavoriteButton(landmark));
     const photoContainer = landmarkElement.querySelector(
       '.landmark-photo-container'
     );
@@ -105,16 +153,18 @@ export async function displayLandmarks(landmark_data) {
         lng: lon,
       };
 
-      // Create marker
+      // Create marker, put on the map by the clusterer
       const markerView = new AdvancedMarkerElement({
         position: position,
-        map: map,
         // title: placeName,
-        content: createMarkerElement(placeName),
+        content: createMarkerElement(placeName, category),
       });
+      markerView.category = category.id;
+      clusterer.add([markerView]);
 
       markerView.index = index;
       markerView.desc = landmark.desc;
+      markerView.landmark = landmark;
       landMarkers.push(markerView);
 
       // Create info window
@@ -146,6 +196,8 @@ export async function displayLandmarks(landmark_data) {
     }
   }
 
+  filterLandmarks();
+
   // Show landmarks panel
   landmarkSidebar.classList.remove('hidden');
 
@@ -153,28 +205,46 @@ export async function displayLandmarks(landmark_data) {
   return imagesToCache;
 }
 
+const showsMarker = (marker) => categoryFilter.shows(marker.category);
+
+/**
+ * Show the chips for the categories found, and only the markers and
+ * cards of the categories turned on
+ */
+function filterLandmarks() {
+  const cards = landmarksList.querySelectorAll('.landmark-item[data-category]');
+  const counts = {};
+  cards.forEach((card) => {
+    const id = card.dataset.category;
+    counts[id] = (counts[id] || 0) + 1;
+    card.classList.toggle('hidden', !categoryFilter.shows(id));
+  });
+  categoryFilter.renderChips(landmarkFilter, counts, filterLandmarks);
+  clusterer.setFilter(showsMarker);
+}
+
 /**
  * Create a custom element for the advanced marker
  * @param {string} title - The title to display in the marker
+ * @param {Object} category - Landmark category {icon, color}
  * @returns {HTMLElement} The marker element
  */
-function createMarkerElement(title) {
+function createMarkerElement(title, category) {
   // Create a container for the marker
   const container = document.createElement('div');
   container.className = 'marker-container';
   container.style.position = 'relative';
 
-  const makerColor = '#6aa8f7';
-  const highlightMaker = '#4285F4';
-
-  // Create dot element
+  // Create dot element, colored and marked by category
   const element = document.createElement('div');
   element.className = 'marker-element';
-  element.style.backgroundColor = makerColor;
+  element.style.backgroundColor = category.color;
+  element.textContent = category.icon;
   element.dataset.title = title; // Store title for later use
 
-  // Add marker title that shows on hover
+  // Add marker label, hidden by the clusterer when it overlaps others
   const titleElement = document.createElement('div');
+  titleElement.className = 'marker-label';
   titleElement.textContent = title;
   titleElement.style.position = 'absolute';
   titleElement.style.bottom = '100%';
@@ -184,22 +254,19 @@ function createMarkerElement(title) {
   titleElement.style.padding = '4px 8px';
   titleElement.style.borderRadius = '4px';
   titleElement.style.fontWeight = 'bold';
-  titleElement.style.fontSize = '14px';
+  titleElement.style.fontSize = '12px';
   titleElement.style.whiteSpace = 'nowrap';
   titleElement.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)';
   titleElement.style.marginBottom = '5px';
-  titleElement.style.display = 'none';
   titleElement.style.zIndex = '1';
 
   // Add event listeners for hover
   element.addEventListener('mouseover', () => {
-    titleElement.style.display = 'block';
-    element.style.backgroundColor = highlightMaker;
+    element.style.filter = 'brightness(1.2)';
   });
 
   element.addEventListener('mouseout', () => {
-    titleElement.style.display = 'none';
-    element.style.backgroundColor = makerColor;
+    element.style.filter = '';
   });
 
   // Append to container
@@ -216,6 +283,13 @@ function createMarkerElement(title) {
  * @param {string} placeName - Name of the place
  */
 export function create3DMapOverlay(lat, lng, placeName) {
+  const cleanupHandlers = []; // run when the overlay closes
+  let overlayClosed = false;
+  // The 3D setup is deferred and may finish after the overlay is closed
+  const onOverlayClose = (cleanup) => {
+    if (overlayClosed) cleanup();
+    else cleanupHandlers.push(cleanup);
+  };
   const overlay = document.createElement('div');
   overlay.style.position = 'fixed';
   overlay.style.top = '0';
@@ -270,6 +344,8 @@ export function create3DMapOverlay(lat, lng, placeName) {
     justify-content: center;
   `;
   closeButton.addEventListener('click', () => {
+    overlayClosed = true;
+    cleanupHandlers.forEach((cleanup) => cleanup());
     document.body.removeChild(overlay);
   });
 
@@ -385,39 +461,71 @@ export function create3DMapOverlay(lat, lng, placeName) {
         aircraftButton.id = 'aircraft-tracking';
         aircraftButton.className = 'control-button';
         aircraftButton.innerHTML = '✈️';
-        setTooltip(aircraftButton, 'tooltips.teleport_to_aircraft');
+        setTooltip(
+          aircraftButton,
+          isAircraftReplaying()
+            ? 'tooltips.follow_aircraft_3d'
+            : 'tooltips.teleport_to_aircraft'
+        );
         aircraftButton.style.position = 'absolute';
         aircraftButton.style.top = '10px';
         aircraftButton.style.right = '50px';
         aircraftButton.style.zIndex = '1000';
 
+        const flyToAircraft = (aircraftData, durationMillis) => {
+          // Calculate camera position close to aircraft
+          const altitude = Math.max(100, aircraftData.altitude || 500);
+          const tilt = 75; // Looking forward from aircraft
+          const range = 500; // Close to aircraft for FPV feel
+
+          const cameraConfig = {
+            center: {
+              lat: aircraftData.latitude,
+              lng: aircraftData.longitude,
+              altitude: altitude,
+            },
+            tilt: tilt,
+            heading: aircraftData.heading || 0, // Use aircraft heading
+            range: range,
+          };
+
+          // Teleport to aircraft position
+          map3DElement.flyCameraTo({
+            endCamera: cameraConfig,
+            durationMillis: durationMillis,
+          });
+          return altitude;
+        };
+
+        // Follow the aircraft while a track log is replayed
+        let followReplay = false;
+        let lastFollowTime = 0;
+        const onTelemetry = (event) => {
+          if (!followReplay || !event.detail.replay) return;
+          const now = Date.now();
+          if (now - lastFollowTime < 1000) return;
+          lastFollowTime = now;
+          flyToAircraft(event.detail, 1000);
+        };
+        window.addEventListener('SimConnect_telemetry', onTelemetry);
+        onOverlayClose(() =>
+          window.removeEventListener('SimConnect_telemetry', onTelemetry)
+        );
+
         // Add click handler for one-time sync with aircraft position
         aircraftButton.addEventListener('click', async () => {
           try {
+            if (isAircraftReplaying()) {
+              followReplay = !followReplay;
+              aircraftButton.style.backgroundColor = followReplay
+                ? '#4CAF50'
+                : 'white';
+              return;
+            }
+
             const aircraftData = await fetchAircraftData();
             if (aircraftData && aircraftData.connected !== false) {
-              // Calculate camera position close to aircraft
-              const altitude = Math.max(100, aircraftData.altitude || 500);
-              const tilt = 75; // Looking forward from aircraft
-              const range = 500; // Close to aircraft for FPV feel
-
-              const cameraConfig = {
-                center: {
-                  lat: aircraftData.latitude,
-                  lng: aircraftData.longitude,
-                  altitude: altitude,
-                },
-                tilt: tilt,
-                heading: aircraftData.heading || 0, // Use aircraft heading
-                range: range,
-              };
-
-              // Teleport to aircraft position
-              map3DElement.flyCameraTo({
-                endCamera: cameraConfig,
-                durationMillis: 2000,
-              });
-
+              const altitude = flyToAircraft(aircraftData, 2000);
               console.debug('Camera synced to aircraft:', {
                 lat: aircraftData.latitude.toFixed(3),
                 lng: aircraftData.longitude.toFixed(3),
@@ -431,6 +539,69 @@ export function create3DMapOverlay(lat, lng, placeName) {
         });
 
         mapContainer.appendChild(aircraftButton);
+
+        // Chase cam, cycling through its presets and back off
+        const chaseCam = new ChaseCam(map3DElement);
+        const chaseButton = document.createElement('button');
+        chaseButton.className = 'control-button';
+        chaseButton.innerHTML = '🎥';
+        setTooltip(chaseButton, 'tooltips.chase_cam_start');
+        chaseButton.style.position = 'absolute';
+        chaseButton.style.top = '60px';
+        chaseButton.style.right = '50px';
+        chaseButton.style.zIndex = '1000';
+
+        chaseButton.addEventListener('click', async () => {
+          const preset =
+            CHASE_CAM_PRESETS[CHASE_CAM_PRESETS.indexOf(chaseCam.preset) + 1];
+          const last = getLastKnownPosition();
+          if (preset && !last) {
+            // Tracking or the replay ended since the overlay opened
+            handleError(i18n.t('errors.no_chase_target'));
+            return;
+          }
+          if (preset) {
+            followReplay = false;
+            aircraftButton.style.backgroundColor = 'white';
+            await chaseCam.start(preset, {
+              latitude: last.lat,
+              longitude: last.lng,
+              altitude: last.altitude,
+              heading: last.heading,
+              replay: isAircraftReplaying(),
+            });
+          } else {
+            chaseCam.stop();
+          }
+          chaseButton.style.backgroundColor = preset ? '#4CAF50' : 'white';
+          setTooltip(chaseButton, `tooltips.chase_cam_${preset || 'start'}`);
+        });
+        onOverlayClose(() => chaseCam.stop());
+
+        mapContainer.appendChild(chaseButton);
+
+        // Flown track at true altitude, optionally extruded to the ground
+        const flightTrack = new FlightTrack3D(map3DElement);
+        await flightTrack.start(getFlightTrail());
+        onOverlayClose(() => flightTrack.stop());
+
+        const extrudeButton = document.createElement('button');
+        extrudeButton.className = 'control-button';
+        extrudeButton.innerHTML = '📶';
+        setTooltip(extrudeButton, 'tooltips.extrude_track');
+        extrudeButton.style.position = 'absolute';
+        extrudeButton.style.top = '110px';
+        extrudeButton.style.right = '50px';
+        extrudeButton.style.zIndex = '1000';
+        extrudeButton.addEventListener('click', () => {
+          const extruded = flightTrack.toggleExtruded();
+          extrudeButton.style.backgroundColor = extruded ? '#4CAF50' : 'white';
+          setTooltip(
+            extrudeButton,
+            extruded ? 'tooltips.flatten_track' : 'tooltips.extrude_track'
+          );
+        });
+        mapContainer.appendChild(extrudeButton);
       }
 
       // Function to start auto fly-around animation
@@ -460,8 +631,8 @@ export function create3DMapOverlay(lat, lng, placeName) {
           // Add 3D markers for each landmark in landMarkers array
           landMarkers.forEach((markerView) => {
             if (markerView && markerView.position) {
-              const lat = markerView.position.lat;
-              const lng = markerView.position.lng;
+              // Spread out markers keep their own position in home
+              const { lat, lng } = markerView.home || markerView.position;
 
               // Create 3D interactive marker
               const marker3D = new Marker3DInteractiveElement({
@@ -829,41 +1000,126 @@ function createInfoWindowContent(landmark, index) {
   titleElement.addEventListener('click', () => {
     highlightMarkerAndSidebar(index);
   });
+  titleElement.appendChild(createFavoriteButton(landmark));
   infoWindowContent.appendChild(titleElement);
   return infoWindowContent;
 }
 
+/**
+ * Create the star button saving a landmark to the saved places
+ * @param {Object} landmark - Landmark data {name, lat, lon, ...}
+ * @returns {HTMLElement} The button
+ */
+function createFavoriteButton(landmark) {
+  const button = document.createElement('button');
+  button.className = 'favorite-button';
+  button.dataset.favorite = favoriteKey(landmark);
+  showFavorite(button, favorites.has(landmark));
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    favorites.toggle(landmark);
+  });
+  favoriteButtons.push(button);
+  return button;
+}
+
+/**
+ * Create the button opening the editor of a custom landmark
+ * @param {Object} landmark - Custom landmark
+ * @returns {HTMLElement} The button
+ */
+function createEditButton(landmark) {
+  const button = document.createElement('button');
+  button.className = 'favorite-button edit-pin';
+  button.textContent = '✏️';
+  setTooltip(button, 'tooltips.edit_pin');
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    customLandmarks.openEditor(landmark);
+  });
+  return button;
+}
+
+function showFavorite(button, saved) {
+  button.textContent = saved ? '★' : '☆';
+  button.classList.toggle('saved', saved);
+  setTooltip(
+    button,
+    saved ? 'tooltips.favorite_remove' : 'tooltips.favorite_add'
+  );
+}
+
 /**
  * Create sidebar element for a landmark
  */
 function createSidebarElement(landmark, index) {
+  const name = escapeHTML(landmark.name);
+  const type = escapeHTML(landmark.type);
+  const loc = escapeHTML(landmark.loc);
+  const desc = escapeHTML(landmark.desc);
+  const local =
+    landmark.local != landmark.name ? escapeHTML(landmark.local) : '';
+
   const landmarkElement = document.createElement('div');
   landmarkElement.className = 'landmark-item';
   landmarkElement.dataset.index = index;
   landmarkElement.innerHTML = `
     <div class="landmark-header">
-      <div class="landmark-name">${landmark.name}</div>
-      ${
-        landmark.type ? `<div class="landmark-type">${landmark.type}</div>` : ''
-      }
+      <div class="landmark-name">${name}</div>
+      ${type ? `<div class="landmark-type">${type}</div>` : ''}
     </div>
-    ${landmark.loc ? `<div class="landmark-address">${landmark.loc}</div>` : ''}
-    ${
-      landmark.desc
-        ? `<div class="landmark-summary">${landmark.desc}</div>`
-        : ''
-    }
+    ${loc ? `<div class="landmark-address">${loc}</div>` : ''}
+    ${desc ? `<div class="landmark-summary">${desc}</div>` : ''}
     <div class="landmark-photo-container"></div>
-    ${
-      landmark.local && landmark.local != landmark.name
-        ? `<div class="landmark-address">${landmark.local}</div>`
-        : ''
-    }
+    ${local ? `<div class="landmark-address">${local}</div>` : ''}
   `;
   landmarksList.appendChild(landmarkElement);
   return landmarkElement;
 }
 
+/**
+ * Show route waypoints as cards in the landmarks sidebar
+ * @param {Array} waypoints - Cards {name, type, loc, desc, lat, lon}
+ */
+export function displayWaypoints(waypoints) {
+  // Keep landmark results when a route is cleared after a search
+  const showingWaypoints = landmarksList.querySelector('.waypoint-item');
+  if (!waypoints.length && !showingWaypoints) return;
+
+  // Landmark markers would point to cards no longer shown
+  landmarksList.innerHTML = '';
+  clearLandMarkers();
+  waypoints.forEach((waypoint, i) => {
+    const waypointElement = createSidebarElement(waypoint, `wpt-${i}`);
+    waypointElement.classList.add('waypoint-item');
+    create3DIconOverlay(
+      waypointElement,
+      waypoint.lat,
+      waypoint.lon,
+      waypoint.name
+    );
+    waypointElement
+      .querySelector('.landmark-name')
+      .addEventListener('click', () => {
+        map.panTo({ lat: waypoint.lat, lng: waypoint.lon });
+      });
+  });
+  landmarkSidebar.classList.toggle('hidden', !waypoints.length);
+}
+
+/**
+ * Mark the waypoint card being flown to
+ * @param {number} index - Waypoint index in the route
+ */
+export function highlightWaypoint(index) {
+  landmarksList.querySelectorAll('.waypoint-item').forEach((item) => {
+    item.classList.toggle(
+      'active-landmark',
+      item.dataset.index === `wpt-${index}`
+    );
+  });
+}
+
 /**
  * Highlight marker and corresponding sidebar item
  */
@@ -886,6 +1142,7 @@ function highlightMarkerAndSidebar(index) {
   if (markerElement) {
     markerElement.classList.add('active-marker');
   }
+  clusterer?.layoutLabels();
 
   landmarkSidebar.classList.remove('hidden');
   const sidebarItem = document.querySelector(
@@ -932,6 +1189,7 @@ function setupPlaceInteractions(
   const landmarkNameElement = landmarkElement.querySelector('.landmark-name');
   landmarkNameElement.addEventListener('click', () => {
     infoWindows.forEach((iw) => iw.close());
+    clusterer.reveal(markerView);
     if (!isNarrowScreen) {
       infoWindow.open({
         anchor: markerView,
@@ -948,12 +1206,95 @@ function setupPlaceInteractions(
   });
 }
 
+/**
+ * Landmarks currently shown on the map
+ * @returns {Array} Landmark data {name, lat, lon, ...} with marker index
+ */
+export function getLandmarks() {
+  return landMarkers.map((marker) => ({
+    ...marker.landmark,
+    index: marker.index,
+  }));
+}
+
+/**
+ * Landmarks currently shown, in the format of get_landmark_data
+ * @returns {Object} {location, coordinates, landmarks}
+ */
+export function getLandmarkSet() {
+  const landmarks = landMarkers.map((marker) => ({ ...marker.landmark }));
+  return { ...landmarkSetInfo, landmarks };
+}
+
+/**
+ * Alert when the aircraft comes within a radius of a displayed landmark
+ * Radius and speech from the PROXIMITY_RADIUS_KM and PROXIMITY_SPEECH
+ * settings, or the config defaults
+ */
+export async function initProximityAlerts() {
+  const config = await getConfig();
+  const settings = getSettings();
+  const radius_km =
+    parseFloat(settings.PROXIMITY_RADIUS_KM) ||
+    config?.defaults?.proximity_radius_km ||
+    2;
+  speakAlerts =
+    String(settings.PROXIMITY_SPEECH ?? config?.defaults?.proximity_speech) ===
+    'true';
+  geofence = new Geofence(radius_km);
+
+  window.addEventListener('SimConnect_telemetry', (event) => {
+    const { latitude, longitude } = event.detail;
+    const points = landMarkers
+      .filter((marker) => marker.landmark && showsMarker(marker))
+      .map((marker) => ({
+        key: marker.landmark.name,
+        name: marker.landmark.name,
+        desc: marker.landmark.desc,
+        lat: marker.landmark.lat,
+        lon: marker.landmark.lon,
+        index: marker.index,
+      }));
+    const entered = geofence.update({ lat: latitude, lon: longitude }, points);
+    if (entered.length > 0) alertLandmarks(entered);
+  });
+  window.addEventListener('SimConnect_stopped', () => geofence.reset());
+}
+
+/**
+ * Notify landmarks just entered, highlighting and reading out the closest
+ * @param {Array} entered - Landmarks with distance_km, closest first
+ */
+function alertLandmarks(entered) {
+  for (const landmark of entered) {
+    toast.show({
+      title: `📍 ${landmark.name}`,
+      text: i18n.t('landmark.proximity_alert', {
+        distance: landmark.distance_km.toFixed(1),
+      }),
+      onClick: () => highlightMarkerAndSidebar(landmark.index),
+    });
+  }
+
+  const closest = entered[0];
+  highlightMarkerAndSidebar(closest.index);
+  if (speakAlerts && 'speechSynthesis' in window) {
+    window.speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(
+      [closest.name, closest.desc].filter(Boolean).join('. ')
+    );
+    utterance.lang = i18n.userLocale;
+    window.speechSynthesis.speak(utterance);
+  }
+}
+
 /**
  * Clear all markers from the map
  */
 export function clearLandMarkers() {
-  landMarkers.forEach((marker) => {
-    marker.map = null;
-  });
+  clusterer?.clear();
+  landmarkFilter.innerHTML = '';
+  favoriteButtons.length = 0;
+  landmarkSetInfo = {};
   landMarkers.length = 0;
 }
@@ -0,0 +1,157 @@
+import { distance_km, bearing_deg } from './utils.js';
+
+/**
+ * Dead-reckoning motion smoothing for the aircraft marker
+ * animates at display frame rate between telemetry samples
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const MAX_EXTRAPOLATION_MS = 3000; // hold position when a sample is this late
+const CORRECTION_MS = 400; // blend out the error when a fresh sample arrives
+const SNAP_DISTANCE_KM = 2; // jump instead of blending beyond this error
+const HEADING_SMOOTH_MS = 300; // time constant for heading changes
+
+/**
+ * Project a position along a great circle
+ * @param {Object} position - {lat, lng} start coordinates
+ * @param {number} track - True track in degrees
+ * @param {number} speed - Ground speed in meters per second
+ * @param {number} seconds - Time to travel
+ * @returns {Object} {lat, lng} projected coordinates
+ */
+export function deadReckon(position, track, speed, seconds) {
+  const toRad = Math.PI / 180;
+  const d = (speed * seconds) / EARTH_RADIUS_M; // angular distance
+  const lat1 = position.lat * toRad;
+  const lng1 = position.lng * toRad;
+  const brg = track * toRad;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brg)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(brg) * Math.sin(d) * Math.cos(lat1),
+      Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return { lat: lat2 / toRad, lng: lng2 / toRad };
+}
+
+/**
+ * Shortest signed rotation from one heading to another
+ * @returns {number} Degrees in [-180, 180)
+ */
+function headingDelta(from, to) {
+  return ((to - from + 540) % 360) - 180;
+}
+
+export class MotionSmoother {
+  /**
+   * @param {Function} render - Called every frame with (position, heading,
+   *   velocity), velocity being {speed (m/s), track (deg)} or null
+   */
+  constructor(render) {
+    this.render = render;
+    this.fix = null; // latest sample {lat, lng, time}
+    this.velocity = null; // {speed (m/s), track (deg)}
+    this.error = { lat: 0, lng: 0 }; // displayed minus fix at sample time
+    this.current = null; // last rendered position
+    this.heading = 0;
+    this.targetHeading = 0;
+    this.frame = null;
+    this.lastFrameTime = 0;
+  }
+
+  /**
+   * Feed a fresh telemetry sample
+   * @param {Object} sample - {lat, lng, heading, groundSpeed?, track?}
+   *   groundSpeed in m/s; derived from the previous sample when missing
+   * @param {boolean} extrapolate - Dead-reckon past the sample (live data)
+   */
+  update(sample, extrapolate = true) {
+    const now = performance.now();
+    const prev = this.fix;
+
+    let speed = sample.groundSpeed;
+    let track = sample.track ?? sample.heading;
+    if (speed == null && prev) {
+      const dt = (now - prev.time) / 1000;
+      if (dt > 0 && dt * 1000 < MAX_EXTRAPOLATION_MS) {
+        speed =
+          (distance_km(prev.lat, prev.lng, sample.lat, sample.lng) * 1000) / dt;
+        track = bearing_deg(prev.lat, prev.lng, sample.lat, sample.lng);
+      }
+    }
+
+    // Blend from what is displayed to the new fix, or snap on large jumps
+    const shown = this.current;
+    if (
+      shown &&
+      distance_km(shown.lat, shown.lng, sample.lat, sample.lng) <
+        SNAP_DISTANCE_KM
+    ) {
+      this.error = { lat: shown.lat - sample.lat, lng: shown.lng - sample.lng };
+    } else {
+      this.error = { lat: 0, lng: 0 };
+      this.heading = sample.heading;
+    }
+
+    this.fix = { lat: sample.lat, lng: sample.lng, time: now };
+    this.velocity = extrapolate && speed > 0 ? { speed, track } : null;
+    this.targetHeading = sample.heading;
+    if (!this.frame) this.start();
+  }
+
+  start() {
+    this.lastFrameTime = performance.now();
+    const loop = (now) => {
+      this.step(now);
+      this.frame = requestAnimationFrame(loop);
+    };
+    this.frame = requestAnimationFrame(loop);
+  }
+
+  /**
+   * Render one animation frame
+   * @param {number} now - Frame timestamp from requestAnimationFrame
+   */
+  step(now) {
+    if (!this.fix) return;
+    const sinceFix = Math.max(0, now - this.fix.time);
+
+    let position = this.fix;
+    if (this.velocity) {
+      const seconds = Math.min(sinceFix, MAX_EXTRAPOLATION_MS) / 1000;
+      position = deadReckon(
+        this.fix,
+        this.velocity.track,
+        this.velocity.speed,
+        seconds
+      );
+    }
+
+    const blend = Math.max(0, 1 - sinceFix / CORRECTION_MS);
+    this.current = {
+      lat: position.lat + this.error.lat * blend,
+      lng: position.lng + this.error.lng * blend,
+    };
+
+    const frameMs = now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    const turn = headingDelta(this.heading, this.targetHeading);
+    this.heading =
+      (this.heading + turn * Math.min(1, frameMs / HEADING_SMOOTH_MS) + 360) %
+      360;
+
+    this.render(this.current, this.heading, this.velocity);
+  }
+
+  stop() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.fix = null;
+    this.current = null;
+    this.velocity = null;
+  }
+}
@@ -0,0 +1,215 @@
+import { distance_km, bearing_deg } from './utils.js';
+
+/**
+ * Route navigation along great-circle legs
+ * Waypoints are {lat, lon, ...}, distances in km and speeds in knots
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KNOTS_TO_KMH = 1.852;
+const CAPTURE_DISTANCE_KM = 0.926; // 0.5 nm, sequence or arrive inside this
+const ETA_MIN_SPEED_KT = 30; // no ETA while taxiing or parked
+
+/**
+ * Cross-track and along-track distance relative to a leg
+ * @param {Object} position - {lat, lon}
+ * @param {Object} from - Leg start {lat, lon}
+ * @param {Object} to - Leg end {lat, lon}
+ * @returns {Object} {xte, along} in km, xte positive right of course and
+ *   along negative before the leg start
+ */
+export function legOffset(position, from, to) {
+  const toRad = Math.PI / 180;
+  const d13 =
+    distance_km(from.lat, from.lon, position.lat, position.lon) /
+    EARTH_RADIUS_KM;
+  const delta =
+    (bearing_deg(from.lat, from.lon, position.lat, position.lon) -
+      bearing_deg(from.lat, from.lon, to.lat, to.lon)) *
+    toRad;
+
+  const xt = Math.asin(Math.sin(d13) * Math.sin(delta));
+  const at = Math.acos(Math.min(1, Math.cos(d13) / Math.cos(xt)));
+  return {
+    xte: xt * EARTH_RADIUS_KM,
+    along: at * EARTH_RADIUS_KM * (Math.cos(delta) < 0 ? -1 : 1),
+  };
+}
+
+function legLength(from, to) {
+  return distance_km(from.lat, from.lon, to.lat, to.lon);
+}
+
+/**
+ * Progress along a route, sequencing waypoints as they are passed
+ * @param {Object} position - Aircraft {lat, lon}
+ * @param {Array} waypoints - Route waypoints
+ * @param {number} activeIndex - Waypoint currently flown to
+ * @param {number} groundSpeed - Ground speed in knots
+ * @returns {Object} {activeIndex, distanceToNext, bearingToNext, xte,
+ *   remaining, ete (seconds or null), arrived}
+ */
+export function routeProgress(position, waypoints, activeIndex, groundSpeed) {
+  const last = waypoints.length - 1;
+  let active = Math.min(Math.max(activeIndex, 0), last);
+
+  // A waypoint is passed once abeam of it, or when flying over it
+  while (active < last) {
+    const next = waypoints[active];
+    const toNext = legLength(position, next);
+    if (toNext < CAPTURE_DISTANCE_KM) {
+      active++;
+      continue;
+    }
+    if (active === 0) break;
+    const prev = waypoints[active - 1];
+    const { along } = legOffset(position, prev, next);
+    if (along < legLength(prev, next)) break;
+    active++;
+  }
+
+  const next = waypoints[active];
+  const distanceToNext = legLength(position, next);
+  let remaining = distanceToNext;
+  for (let i = active; i < last; i++) {
+    remaining += legLength(waypoints[i], waypoints[i + 1]);
+  }
+
+  return {
+    activeIndex: active,
+    distanceToNext,
+    bearingToNext: bearing_deg(position.lat, position.lon, next.lat, next.lon),
+    xte: active > 0 ? legOffset(position, waypoints[active - 1], next).xte : 0,
+    remaining,
+    ete:
+      groundSpeed > ETA_MIN_SPEED_KT
+        ? (remaining / (groundSpeed * KNOTS_TO_KMH)) * 3600
+        : null,
+    arrived: active === last && distanceToNext < CAPTURE_DISTANCE_KM,
+  };
+}
+
+/**
+ * Point at a fraction of the great circle between two positions
+ * @returns {Object} {lat, lon}
+ */
+function intermediatePoint(from, to, fraction) {
+  const toRad = Math.PI / 180;
+  const d = legLength(from, to) / EARTH_RADIUS_KM;
+  if (d === 0) return { lat: from.lat, lon: from.lon };
+
+  const a = Math.sin((1 - fraction) * d) / Math.sin(d);
+  const b = Math.sin(fraction * d) / Math.sin(d);
+  const [lat1, lon1, lat2, lon2] = [from.lat, from.lon, to.lat, to.lon].map(
+    (v) => v * toRad
+  );
+  const x =
+    a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+  const y =
+    a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+  return {
+    lat: Math.atan2(z, Math.hypot(x, y)) / toRad,
+    lon: Math.atan2(y, x) / toRad,
+  };
+}
+
+/**
+ * Total length of a path
+ * @param {Array} path - Points {lat, lon}
+ * @returns {number} Length in km
+ */
+export function pathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += legLength(path[i - 1], path[i]);
+  }
+  return length;
+}
+
+/**
+ * Evenly spaced points along a path, including both ends
+ * @param {Array} path - Points {lat, lon}
+ * @param {number} spacing - Distance between samples in km, widened to
+ *   stay within maxSamples
+ * @param {number} maxSamples - Most samples to return, at least 2
+ * @returns {Array} Samples {lat, lon, along} with along-path km
+ */
+export function samplePath(path, spacing, maxSamples = Infinity) {
+  const total = pathLength(path);
+  const count = Math.min(
+    Math.max(1, Math.ceil(total / spacing)),
+    Math.max(1, maxSamples - 1)
+  );
+  const samples = [];
+  let leg = 1;
+  let legStart = 0;
+  for (let i = 0; i <= count; i++) {
+    const along = (total * i) / count;
+    while (
+      leg < path.length - 1 &&
+      legStart + legLength(path[leg - 1], path[leg]) < along
+    ) {
+      legStart += legLength(path[leg - 1], path[leg]);
+      leg++;
+    }
+    const from = path[leg - 1] || path[0];
+    const to = path[leg] || path[0];
+    const length = legLength(from, to);
+    const fraction = length ? Math.min(1, (along - legStart) / length) : 0;
+    samples.push({ ...intermediatePoint(from, to, fraction), along });
+  }
+  return samples;
+}
+
+/**
+ * Distance along a path to the closest point abeam of a position
+ * @param {Object} position - {lat, lon}
+ * @param {Array} path - Points {lat, lon}
+ * @returns {Object} {along, offset} in km
+ */
+export function alongPath(position, path) {
+  let best = { along: 0, offset: legLength(position, path[0]) };
+  let legStart = 0;
+  for (let i = 1; i < path.length; i++) {
+    const length = legLength(path[i - 1], path[i]);
+    const { xte, along } = legOffset(position, path[i - 1], path[i]);
+    let candidate;
+    if (along < 0) {
+      candidate = { along: legStart, offset: legLength(position, path[i - 1]) };
+    } else if (along > length) {
+      candidate = {
+        along: legStart + length,
+        offset: legLength(position, path[i]),
+      };
+    } else {
+      candidate = { along: legStart + along, offset: Math.abs(xte) };
+    }
+    if (candidate.offset < best.offset) best = candidate;
+    legStart += length;
+  }
+  return best;
+}
+
+/**
+ * Merge landmarks found along a path into one list in flying order
+ * @param {Array} landmarks - Landmarks {name, lat, lon, ...}, may repeat
+ * @param {Array} path - Points {lat, lon}
+ * @param {number} maxOffset - Drop landmarks farther off the path, in km
+ * @returns {Array} Unique landmarks with along_km, sorted by it
+ */
+export function orderAlongPath(landmarks, path, maxOffset) {
+  const seen = new Set();
+  const ordered = [];
+  for (const landmark of landmarks) {
+    if (landmark.lat == null || landmark.lon == null) continue;
+    const key = landmark.name?.trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+
+    const { along, offset } = alongPath(landmark, path);
+    if (offset > maxOffset) continue;
+    ordered.push({ ...landmark, along_km: along });
+  }
+  return ordered.sort((a, b) => a.along_km - b.along_km);
+}
@@ -0,0 +1,285 @@
+/**
+ * Vertical profile of the flight
+ * plots altitude over distance for the current tracking session, or the
+ * planned altitudes of the route, over terrain sampled along the path,
+ * with waypoints and landmarks marked on the distance axis
+ */
+
+import { getSessionTrack } from './simconnect.js';
+import { getElevationAlongPath } from './gmap.js';
+import { alongPath } from './navigation.js';
+import { mapInterface } from './interfaces.js';
+import { distance_km, escapeHTML, handleError } from './utils.js';
+import { i18n } from './lion.js';
+
+const METERS_TO_FEET = 3.28084;
+const KM_TO_NM = 1 / 1.852;
+const MAX_PATH_POINTS = 256; // sent to the elevation service
+const TERRAIN_SAMPLES = 256;
+const MARK_MAX_OFFSET_KM = 5; // leave out landmarks farther off the path
+const REFRESH_MS = 5000;
+const TERRAIN_GROWTH = 1.2; // sample the terrain again once the path grew 20%
+const CHART_HEIGHT = 140;
+const MARGIN = { left: 48, right: 10, top: 10, bottom: 20 };
+
+/**
+ * Distance along a path to each of its points
+ * @param {Array} points - Points {lat, lon, altitude}
+ * @returns {Array} Points with along in km
+ */
+export function buildProfile(points) {
+  let along = 0;
+  return points.map((point, i) => {
+    if (i > 0) {
+      const prev = points[i - 1];
+      along += distance_km(prev.lat, prev.lon, point.lat, point.lon);
+    }
+    return { ...point, along };
+  });
+}
+
+/**
+ * Position at a distance along a profile
+ * @param {Array} profile - Points from buildProfile()
+ * @param {number} along - Distance in km
+ * @returns {Object} {lat, lon}
+ */
+export function positionAlong(profile, along) {
+  const next = profile.findIndex((point) => point.along >= along);
+  if (next <= 0) {
+    const point = profile[next === 0 ? 0 : profile.length - 1];
+    return { lat: point.lat, lon: point.lon };
+  }
+
+  const from = profile[next - 1];
+  const to = profile[next];
+  const f = (along - from.along) / (to.along - from.along || 1);
+  return {
+    lat: from.lat + (to.lat - from.lat) * f,
+    lon: from.lon + (to.lon - from.lon) * f,
+  };
+}
+
+/**
+ * Thin a path to at most a number of points, keeping both ends
+ */
+function thinPath(points, max) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+class AltitudeProfile {
+  constructor() {
+    this.panel = document.getElementById('profile-panel');
+    this.chart = document.getElementById('profile-chart');
+    this.title = document.getElementById('profile-title');
+    this.closeButton = document.getElementById('profile-close');
+
+    this.route = [];
+    this.source = null; // 'track' or 'route'
+    this.profile = [];
+    this.terrain = [];
+    this.terrainLength = 0;
+    this.marks = [];
+    this.lastRefresh = 0;
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    this.closeButton?.addEventListener('click', () => {
+      this.panel.classList.add('hidden');
+    });
+
+    this.chart?.addEventListener('click', (event) => {
+      const length = this.length();
+      if (!length) return;
+      const rect = this.chart.getBoundingClientRect();
+      const plotWidth = rect.width - MARGIN.left - MARGIN.right;
+      const x = event.clientX - rect.left - MARGIN.left;
+      const along = Math.min(Math.max(x / plotWidth, 0), 1) * length;
+      const { lat, lon } = positionAlong(this.profile, along);
+      mapInterface.mapPanTo(lat, lon, 0);
+    });
+  }
+
+  /**
+   * Keep the profile of the tracking session up to date while shown
+   */
+  init() {
+    window.addEventListener('SimConnect_telemetry', async (event) => {
+      if (event.detail.replay || !this.visible()) return;
+      if (Date.now() - this.lastRefresh < REFRESH_MS) return;
+      await this.refresh();
+    });
+  }
+
+  visible() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  length() {
+    return this.profile[this.profile.length - 1]?.along || 0;
+  }
+
+  /**
+   * Show the profile of the tracking session, or of the route before
+   * any sample was collected
+   * @param {Array} route - Route waypoints {ident, lat, lon, alt}
+   */
+  async show(route = []) {
+    this.route = route;
+    this.terrainLength = 0;
+    if (await this.refresh()) this.panel.classList.remove('hidden');
+    else handleError(i18n.t('errors.no_profile'));
+  }
+
+  /**
+   * Rebuild the profile, sampling the terrain again when the path grew
+   * @returns {boolean} Whether there is a path to plot, the profile is
+   *   left as is otherwise
+   */
+  async refresh() {
+    this.lastRefresh = Date.now();
+    const track = getSessionTrack();
+    let source = 'track';
+    let points = track.map((point) => ({
+      lat: point.lat,
+      lon: point.lng,
+      altitude: point.altitude,
+    }));
+    if (points.length < 2) {
+      source = 'route';
+      points = this.route.map((waypoint) => ({
+        lat: waypoint.lat,
+        lon: waypoint.lon,
+        altitude: waypoint.alt,
+      }));
+    }
+    if (points.length < 2) return false;
+
+    if (source !== this.source) this.terrainLength = 0;
+    this.source = source;
+    this.profile = buildProfile(points);
+    const length = this.length();
+    if (!this.terrainLength || length > this.terrainLength * TERRAIN_GROWTH) {
+      await this.sampleTerrain(points, length);
+    }
+    this.marks = this.collectMarks(points);
+    this.render();
+    return true;
+  }
+
+  /**
+   * Fetch terrain elevation evenly spaced along the path
+   */
+  async sampleTerrain(points, length) {
+    const path = thinPath(points, MAX_PATH_POINTS).map((point) => ({
+      lat: point.lat,
+      lng: point.lon,
+    }));
+    const samples = await getElevationAlongPath(path, TERRAIN_SAMPLES);
+    this.terrain = samples.map((sample, i) => ({
+      along: (length * i) / Math.max(1, samples.length - 1),
+      elevation: sample.elevation,
+    }));
+    this.terrainLength = length;
+  }
+
+  /**
+   * Waypoints and displayed landmarks along the path
+   * @param {Array} path - Points {lat, lon}
+   * @returns {Array} Marks {kind, label, along}
+   */
+  collectMarks(path) {
+    const marks = [];
+    const length = this.length();
+    const add = (kind, label, point) => {
+      const { along, offset } = alongPath(point, path);
+      if (offset <= MARK_MAX_OFFSET_KM && along <= length) {
+        marks.push({ kind, label, along });
+      }
+    };
+
+    this.route.forEach((waypoint, i) => {
+      const label = waypoint.ident || waypoint.name;
+      if (this.source === 'route') {
+        marks.push({ kind: 'waypoint', label, along: this.profile[i].along });
+      } else {
+        add('waypoint', label, waypoint);
+      }
+    });
+    mapInterface.getLandmarks().forEach((landmark) => {
+      if (landmark.lat != null && landmark.lon != null) {
+        add('landmark', landmark.name, landmark);
+      }
+    });
+    return marks;
+  }
+
+  render() {
+    if (!this.chart) return;
+    this.title.textContent = i18n.t(
+      this.source === 'route'
+        ? 'profile.route_profile'
+        : 'profile.flight_profile'
+    );
+
+    const width = this.chart.clientWidth || 480;
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const length = this.length() || 1;
+    const highest = Math.max(
+      1,
+      ...this.profile.map((point) => point.altitude || 0),
+      ...this.terrain.map((sample) => sample.elevation || 0)
+    );
+    const top = highest * 1.1;
+    const x = (along) =>
+      (MARGIN.left + (along / length) * plotWidth).toFixed(1);
+    const y = (meters) =>
+      (
+        MARGIN.top +
+        plotHeight -
+        (Math.max(0, meters) / top) * plotHeight
+      ).toFixed(1);
+    const bottom = MARGIN.top + plotHeight;
+
+    const terrain = this.terrain.length
+      ? `<polygon class="profile-terrain" points="${x(0)},${bottom} ${this.terrain
+          .map((s) => `${x(s.along)},${y(s.elevation)}`)
+          .join(
+            ' '
+          )} ${x(this.terrain[this.terrain.length - 1].along)},${bottom}"/>`
+      : '';
+    const flown = this.profile.filter((point) => point.altitude != null);
+    const altitude = `<polyline class="profile-altitude" points="${flown
+      .map((point) => `${x(point.along)},${y(point.altitude)}`)
+      .join(' ')}"/>`;
+
+    const marks = this.marks
+      .map((mark) => {
+        const label = escapeHTML(mark.label || '');
+        const tick = `<line class="profile-${mark.kind}" x1="${x(mark.along)}" x2="${x(mark.along)}" y1="${bottom}" y2="${bottom - 8}"><title>${label}</title></line>`;
+        return mark.kind === 'waypoint'
+          ? `${tick}<text class="profile-label" x="${x(mark.along)}" y="${bottom + 12}">${label}</text>`
+          : tick;
+      })
+      .join('');
+
+    const feet = Math.round(top * METERS_TO_FEET).toLocaleString();
+    const miles = (length * KM_TO_NM).toFixed(0);
+    this.chart.innerHTML = `
+      <svg width="${width}" height="${CHART_HEIGHT}" viewBox="0 0 ${width} ${CHART_HEIGHT}">
+        ${terrain}${altitude}
+        <line class="profile-axis" x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${bottom}" y2="${bottom}"/>
+        <line class="profile-axis" x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${bottom}"/>
+        <text class="profile-scale" x="${MARGIN.left - 4}" y="${MARGIN.top + 8}" text-anchor="end">${feet} ft</text>
+        <text class="profile-scale" x="${MARGIN.left - 4}" y="${bottom}" text-anchor="end">0</text>
+        <text class="profile-scale" x="${MARGIN.left + plotWidth}" y="${MARGIN.top + 8}" text-anchor="end">${miles} nm</text>
+        ${marks}
+      </svg>`;
+  }
+}
+
+export const altitudeProfile = new AltitudeProfile();
@@ -0,0 +1,208 @@
+/* eslint-disable no-undef */
+/**
+ * Flight replay of GPX/IGC track logs
+ * drives the aircraft marker along a loaded track with play/pause,
+ * 1x-32x speed and a timeline slider
+ */
+
+import { parseTrackFile } from './tracklog.js';
+import {
+  replayAircraftPosition,
+  endAircraftReplay,
+  isAircraftTracking,
+} from './simconnect.js';
+import { mapInterface } from './interfaces.js';
+import { handleError } from './utils.js';
+import { i18n, setTooltip } from './lion.js';
+
+const TICK_MS = 200; // marker update interval in real time
+const TIMELINE_STEPS = 1000;
+
+class FlightReplay {
+  constructor() {
+    this.panel = document.getElementById('replay-panel');
+    this.playButton = document.getElementById('replay-play');
+    this.speedSelect = document.getElementById('replay-speed');
+    this.timeline = document.getElementById('replay-timeline');
+    this.timeLabel = document.getElementById('replay-time');
+    this.closeButton = document.getElementById('replay-close');
+
+    this.samples = [];
+    this.time = 0; // current track time in epoch ms
+    this.speed = 1;
+    this.timer = null;
+    this.trackLine = null;
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    this.playButton?.addEventListener('click', () => {
+      if (this.timer) this.pause();
+      else this.play();
+    });
+
+    this.speedSelect?.addEventListener('change', () => {
+      this.speed = parseInt(this.speedSelect.value) || 1;
+    });
+
+    this.timeline?.addEventListener('input', async () => {
+      const fraction = this.timeline.value / TIMELINE_STEPS;
+      await this.seek(this.startTime + fraction * this.duration);
+    });
+
+    this.closeButton?.addEventListener('click', () => {
+      this.close();
+    });
+  }
+
+  get startTime() {
+    return this.samples[0].t;
+  }
+
+  get duration() {
+    return this.samples[this.samples.length - 1].t - this.startTime;
+  }
+
+  /**
+   * Ask for a GPX/IGC file and open it for replay
+   */
+  selectFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.gpx,.igc';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (file) await this.load(await file.text(), file.name);
+    });
+    input.click();
+  }
+
+  /**
+   * Load a track log and show the replay controls
+   * @param {string} text - GPX or IGC content
+   * @param {string} filename - File name, used to detect the format
+   */
+  async load(text, filename) {
+    const samples = parseTrackFile(text, filename);
+    if (samples.length < 2) {
+      handleError(i18n.t('errors.invalid_track_file'));
+      return;
+    }
+
+    this.close();
+    this.samples = samples;
+    this.drawTrack();
+    this.panel.classList.remove('hidden');
+
+    const first = samples[0];
+    mapInterface.mapPanTo(first.lat, first.lon, 0);
+    await this.seek(this.startTime);
+    console.log(`🎞️ Replay loaded: ${filename} (${samples.length} points)`);
+  }
+
+  drawTrack() {
+    this.trackLine = new google.maps.Polyline({
+      map: window.mapInstance,
+      path: this.samples.map((s) => ({ lat: s.lat, lng: s.lon })),
+      strokeColor: '#0D47A1',
+      strokeOpacity: 0.5,
+      strokeWeight: 3,
+      clickable: false,
+    });
+  }
+
+  play() {
+    if (this.timer || !this.samples.length) return;
+    if (this.time >= this.startTime + this.duration) this.time = this.startTime;
+
+    const tick = async () => {
+      if (isAircraftTracking()) {
+        // Live tracking took over the aircraft marker
+        this.pause();
+        return;
+      }
+      await this.seek(this.time + TICK_MS * this.speed);
+      if (this.time >= this.startTime + this.duration) this.pause();
+      else if (this.timer) this.timer = setTimeout(tick, TICK_MS);
+    };
+    this.timer = setTimeout(tick, TICK_MS);
+    this.playButton.textContent = '⏸️';
+    setTooltip(this.playButton, 'tooltips.replay_pause');
+  }
+
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.playButton.textContent = '▶️';
+    setTooltip(this.playButton, 'tooltips.replay_play');
+  }
+
+  /**
+   * Move the aircraft to a point in track time
+   * @param {number} time - Track time in epoch ms
+   */
+  async seek(time) {
+    this.time = Math.min(
+      Math.max(time, this.startTime),
+      this.startTime + this.duration
+    );
+    const sample = this.sampleAt(this.time);
+
+    this.timeline.value = Math.round(
+      ((this.time - this.startTime) / (this.duration || 1)) * TIMELINE_STEPS
+    );
+    this.timeLabel.textContent = new Date(this.time)
+      .toISOString()
+      .slice(11, 19);
+
+    await replayAircraftPosition({
+      latitude: sample.lat,
+      longitude: sample.lon,
+      altitude: sample.alt,
+      heading: sample.hdg,
+      last_update: this.time / 1000,
+    });
+  }
+
+  /**
+   * Interpolate the track position at a given time
+   * @param {number} time - Track time in epoch ms
+   * @returns {Object} Sample {lat, lon, alt, hdg, t}
+   */
+  sampleAt(time) {
+    const samples = this.samples;
+    let lo = 0;
+    let hi = samples.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (samples[mid].t <= time) lo = mid;
+      else hi = mid;
+    }
+
+    const a = samples[lo];
+    const b = samples[hi];
+    const f =
+      b.t > a.t ? Math.min(Math.max((time - a.t) / (b.t - a.t), 0), 1) : 0;
+    const turn = ((b.hdg - a.hdg + 540) % 360) - 180; // shortest rotation
+    return {
+      lat: a.lat + (b.lat - a.lat) * f,
+      lon: a.lon + (b.lon - a.lon) * f,
+      alt: a.alt + (b.alt - a.alt) * f,
+      hdg: (a.hdg + turn * f + 360) % 360,
+      t: time,
+    };
+  }
+
+  close() {
+    this.pause();
+    if (this.trackLine) {
+      this.trackLine.setMap(null);
+      this.trackLine = null;
+    }
+    this.samples = [];
+    this.panel?.classList.add('hidden');
+    endAircraftReplay();
+  }
+}
+
+export const flightReplay = new FlightReplay();
@@ -0,0 +1,381 @@
+/* eslint-disable no-undef */
+/**
+ * Flight plan route on the moving map
+ * draws legs and waypoints of an imported or entered route, lists them in
+ * the landmarks sidebar and shows progress computed by the tracker
+ */
+
+import { parseFlightPlan } from './flightplan.js';
+import { displayWaypoints, highlightWaypoint } from './landmark.js';
+import { setRoute } from './simconnect.js';
+import { getLocationCoord } from './gmap.js';
+import {
+  handleError,
+  distance_km,
+  bearing_deg,
+  validateCoords,
+} from './utils.js';
+import { i18n } from './lion.js';
+
+const ROUTE_COLOR = '#C2185B'; // magenta line, as on aircraft displays
+const ACTIVE_LEG_COLOR = '#FF4081';
+const METERS_TO_FEET = 3.28084;
+const KM_TO_NM = 1 / 1.852;
+const COORD_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+function formatCourse(degrees) {
+  return `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+}
+
+class FlightRoute {
+  constructor() {
+    this.panel = document.getElementById('route-panel');
+    this.form = document.getElementById('route-form');
+    this.input = document.getElementById('route-input');
+    this.pickButton = document.getElementById('route-pick');
+    this.undoButton = document.getElementById('route-undo');
+    this.closeButton = document.getElementById('route-close');
+    this.fields = {};
+    this.panel?.querySelectorAll('[data-route]').forEach((el) => {
+      this.fields[el.dataset.route] = el;
+    });
+
+    this.waypoints = [];
+    this.activeIndex = null;
+    this.routeLine = null;
+    this.activeLegLine = null;
+    this.markers = [];
+    this.clickListener = null;
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    this.form?.addEventListener('submit', async () => {
+      await this.addTypedWaypoint(this.input.value);
+    });
+
+    this.pickButton?.addEventListener('click', () => {
+      this.setPicking(!this.clickListener);
+    });
+
+    this.undoButton?.addEventListener('click', async () => {
+      await this.setWaypoints(this.waypoints.slice(0, -1));
+    });
+
+    this.closeButton?.addEventListener('click', () => {
+      this.setPicking(false);
+      this.panel.classList.add('hidden');
+    });
+  }
+
+  /**
+   * Start following route progress from the aircraft tracker
+   */
+  init() {
+    window.addEventListener('SimConnect_route', (event) => {
+      this.showProgress(event.detail);
+    });
+    window.addEventListener('SimConnect_stopped', () => {
+      this.resetProgress();
+    });
+  }
+
+  /**
+   * Show the route panel to enter waypoints
+   */
+  openEditor() {
+    this.panel.classList.remove('hidden');
+    this.input.focus();
+  }
+
+  /**
+   * Ask for a flight plan file and show it on the map
+   */
+  selectFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.pln,.lnmpln,.gpx,.xml';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (file) await this.load(await file.text(), file.name);
+    });
+    input.click();
+  }
+
+  /**
+   * Load a flight plan
+   * @param {string} text - PLN, LNMPLN, SimBrief OFP or GPX content
+   * @param {string} filename - File name, used to detect the format
+   */
+  async load(text, filename) {
+    const waypoints = parseFlightPlan(text, filename);
+    if (waypoints.length < 2) {
+      handleError(i18n.t('errors.invalid_flight_plan'));
+      return;
+    }
+
+    await this.setWaypoints(waypoints);
+    this.fitRoute();
+    this.panel.classList.remove('hidden');
+    console.log(`🧭 Flight plan loaded: ${filename} (${waypoints.length})`);
+  }
+
+  /**
+   * Replace the route, redraw it and hand it to the tracker
+   * @param {Array} waypoints - Route waypoints
+   */
+  async setWaypoints(waypoints) {
+    this.removeDrawing();
+    this.waypoints = waypoints;
+    this.activeIndex = null;
+    setRoute(waypoints);
+    this.resetProgress();
+    if (waypoints.length) await this.draw();
+    this.showWaypoints();
+  }
+
+  /**
+   * Append a waypoint to the route
+   * @param {Object} waypoint - {lat, lon, name?}
+   */
+  async addWaypoint({ lat, lon, name }) {
+    const ident = `WPT${this.waypoints.length + 1}`;
+    await this.setWaypoints([
+      ...this.waypoints,
+      { ident, name: name || ident, type: '', lat, lon, alt: null },
+    ]);
+  }
+
+  /**
+   * Add a waypoint typed as "lat, lon" or as a place name
+   * @param {string} text - User input
+   */
+  async addTypedWaypoint(text) {
+    const query = text.trim();
+    if (!query) return;
+
+    const match = query.match(COORD_PATTERN);
+    const coords = match
+      ? { lat: parseFloat(match[1]), lon: parseFloat(match[2]) }
+      : await getLocationCoord(query);
+    if (!coords || !validateCoords(coords.lat, coords.lon)) {
+      handleError(i18n.t('errors.location_not_found'));
+      return;
+    }
+
+    await this.addWaypoint({ ...coords, name: match ? null : query });
+    this.input.value = '';
+  }
+
+  /**
+   * Toggle adding waypoints by clicking the map
+   * @param {boolean} picking - Whether map clicks add waypoints
+   */
+  setPicking(picking) {
+    if (picking && !this.clickListener) {
+      this.clickListener = window.mapInstance.addListener(
+        'click',
+        async (event) => {
+          if (event.placeId) event.stop(); // no POI info window
+          await this.addWaypoint({
+            lat: event.latLng.lat(),
+            lon: event.latLng.lng(),
+          });
+        }
+      );
+    } else if (!picking && this.clickListener) {
+      this.clickListener.remove();
+      this.clickListener = null;
+    }
+    this.pickButton?.classList.toggle('active', picking);
+  }
+
+  async draw() {
+    const map = window.mapInstance;
+    const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
+
+    const path = this.waypoints.map((w) => ({ lat: w.lat, lng: w.lon }));
+    this.routeLine = new google.maps.Polyline({
+      map,
+      path,
+      geodesic: true,
+      strokeColor: ROUTE_COLOR,
+      strokeOpacity: 0.9,
+      strokeWeight: 3,
+      clickable: false,
+    });
+
+    this.markers = this.waypoints.map((waypoint, i) => {
+      const content = document.createElement('div');
+      content.className = 'waypoint-marker';
+      content.textContent = waypoint.ident || waypoint.name;
+      return new AdvancedMarkerElement({
+        map,
+        position: path[i],
+        title: waypoint.name,
+        content,
+      });
+    });
+  }
+
+  showWaypoints() {
+    displayWaypoints(
+      this.waypoints.map((waypoint, i) => ({
+        name: waypoint.ident || waypoint.name,
+        type: waypoint.type,
+        loc: waypoint.name !== waypoint.ident ? waypoint.name : '',
+        desc: this.describeLeg(i),
+        lat: waypoint.lat,
+        lon: waypoint.lon,
+      }))
+    );
+  }
+
+  /**
+   * Leg distance and course into a waypoint, and its planned altitude
+   * @param {number} index - Waypoint index
+   * @returns {string} Short leg summary
+   */
+  describeLeg(index) {
+    const waypoint = this.waypoints[index];
+    const parts = [];
+    if (index > 0) {
+      const prev = this.waypoints[index - 1];
+      const distance =
+        distance_km(prev.lat, prev.lon, waypoint.lat, waypoint.lon) * KM_TO_NM;
+      const course = bearing_deg(
+        prev.lat,
+        prev.lon,
+        waypoint.lat,
+        waypoint.lon
+      );
+      parts.push(
+        i18n.t('route.leg_info', {
+          distance: distance.toFixed(1),
+          course: String(Math.round(course) % 360).padStart(3, '0'),
+        })
+      );
+    }
+    if (waypoint.alt) {
+      parts.push(
+        `${Math.round(waypoint.alt * METERS_TO_FEET).toLocaleString()} ft`
+      );
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Display progress from the tracker and highlight the active leg
+   * @param {Object} progress - Route progress, see routeProgress()
+   */
+  showProgress(progress) {
+    const next = this.waypoints[progress.activeIndex];
+    if (!next) return;
+
+    if (progress.activeIndex !== this.activeIndex) {
+      this.activeIndex = progress.activeIndex;
+      this.drawActiveLeg();
+      highlightWaypoint(this.activeIndex);
+      if (progress.sequenced) {
+        console.log(`🧭 Next waypoint: ${next.ident || next.name}`);
+      }
+    }
+
+    this.setField(
+      'next',
+      progress.arrived
+        ? i18n.t('route.arrived')
+        : `${next.ident || next.name} ` +
+            `${(progress.distanceToNext * KM_TO_NM).toFixed(1)} nm ` +
+            formatCourse(progress.bearingToNext)
+    );
+    const xte = progress.xte * KM_TO_NM;
+    this.setField(
+      'xte',
+      `${Math.abs(xte).toFixed(1)} nm${xte > 0.05 ? ' R' : xte < -0.05 ? ' L' : ''}`
+    );
+    this.setField(
+      'remaining',
+      `${Math.round(progress.remaining * KM_TO_NM)} nm`
+    );
+
+    if (progress.ete == null) {
+      this.setField('eta', '—');
+    } else {
+      const eta = new Date(Date.now() + progress.ete * 1000);
+      const minutes = Math.round(progress.ete / 60);
+      this.setField(
+        'eta',
+        `${eta.toISOString().slice(11, 16)}Z ` +
+          `(${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')})`
+      );
+    }
+  }
+
+  resetProgress() {
+    Object.values(this.fields).forEach((el) => {
+      el.textContent = '—';
+    });
+  }
+
+  setField(name, text) {
+    if (this.fields[name]) this.fields[name].textContent = text;
+  }
+
+  drawActiveLeg() {
+    const from = this.waypoints[this.activeIndex - 1];
+    const to = this.waypoints[this.activeIndex];
+    if (!from || !to) {
+      this.activeLegLine?.setMap(null);
+      this.activeLegLine = null;
+      return;
+    }
+
+    const path = [
+      { lat: from.lat, lng: from.lon },
+      { lat: to.lat, lng: to.lon },
+    ];
+    if (this.activeLegLine) {
+      this.activeLegLine.setPath(path);
+      return;
+    }
+    this.activeLegLine = new google.maps.Polyline({
+      map: window.mapInstance,
+      path,
+      geodesic: true,
+      strokeColor: ACTIVE_LEG_COLOR,
+      strokeOpacity: 1,
+      strokeWeight: 5,
+      clickable: false,
+      zIndex: 1,
+    });
+  }
+
+  fitRoute() {
+    const bounds = new google.maps.LatLngBounds();
+    this.waypoints.forEach((w) => bounds.extend({ lat: w.lat, lng: w.lon }));
+    window.mapInstance.fitBounds(bounds);
+  }
+
+  removeDrawing() {
+    if (this.routeLine) {
+      this.routeLine.setMap(null);
+      this.routeLine = null;
+    }
+    if (this.activeLegLine) {
+      this.activeLegLine.setMap(null);
+      this.activeLegLine = null;
+    }
+    this.markers.forEach((marker) => {
+      marker.map = null;
+    });
+    this.markers = [];
+  }
+
+  async clear() {
+    this.setPicking(false);
+    await this.setWaypoints([]);
+  }
+}
+
+export const flightRoute = new FlightRoute();
@@ -17,10 +17,14 @@ import {
   setLoading,
   handleError,
   escapeHTML,
+  distance_km,
 } from './utils.js';
 import { landmarkService, mapInterface, isTestMode } from './interfaces.js';
-import { cachingNotification } from './components.js';
-import { i18n } from './lion.js';
+import { cachingNotification, toast } from './components.js';
+import { i18n, setTooltip } from './lion.js';
+import { getLastKnownPosition } from './simconnect.js';
+import { pathLength, samplePath, orderAlongPath } from './navigation.js';
+import { customLandmarks } from './custom-landmarks.js';
 
 // DOM Elements
 const searchSideBar = document.getElementById('search-bar-container');
@@ -29,9 +33,12 @@ const searchHistory = document.getElementById('search-history');
 const searchButton = document.getElementById('search-button');
 const landmarkSidebar = document.getElementById('landmarks-sidebar');
 const landmarksList = document.getElementById('landmarks-list');
+const searchLandmarksButton = document.getElementById('search-landmarks');
 
 const default_radius = 15;
 const default_zoom = 12;
+const max_radius = 50;
+const max_route_samples = 12; // landmark queries per route search
 
 // Map instance
 let map;
@@ -42,6 +49,14 @@ let lastCenter = { lat: 37.323, lng: -122.0322 };
 // State variable to save last dataset
 let last_result = null;
 
+// Auto-explore: search again once the aircraft moved far enough
+const AUTO_EXPLORE_KEY = 'AUTO_EXPLORE';
+let autoExplore = false;
+let autoExploreDistance = 10; // km from the last search center
+let autoExploreInterval = 120; // minimum seconds between searches
+let lastSearchTime = 0;
+let autoSearching = false;
+
 /**
  * Calculates the search radius based on the current zoom level.
  * The radius is halved for each zoom level between defaultRadius and maxRadius.
@@ -75,15 +90,124 @@ export function initSearch() {
   });
 
   setupTextSearch();
+  setupAutoExplore();
+}
+
+async function setupAutoExplore() {
+  const config = await getConfig();
+  if (config?.defaults?.auto_explore_distance_km)
+    autoExploreDistance = config.defaults.auto_explore_distance_km;
+  if (config?.defaults?.auto_explore_interval_s)
+    autoExploreInterval = config.defaults.auto_explore_interval_s;
+
+  window.addEventListener('SimConnect_telemetry', async (event) => {
+    await autoExploreStep(event.detail);
+  });
+  window.addEventListener('SimConnect_stopped', () => {
+    updateAutoExploreIndicator(null);
+  });
+  setAutoExplore(localStorage.getItem(AUTO_EXPLORE_KEY) === 'true');
+}
+
+/**
+ * Turn auto-explore on or off
+ * @param {boolean} enabled - Refresh landmarks as the aircraft moves
+ */
+export function setAutoExplore(enabled) {
+  autoExplore = enabled;
+  localStorage.setItem(AUTO_EXPLORE_KEY, enabled);
+  setTooltip(
+    searchLandmarksButton,
+    enabled ? 'tooltips.auto_explore_on' : 'tooltips.search_landmarks'
+  );
+  if (!enabled) updateAutoExploreIndicator(null);
+}
+
+export function toggleAutoExplore() {
+  setAutoExplore(!autoExplore);
+  toast.show({
+    title: i18n.t(autoExplore ? 'app.auto_explore_on' : 'app.auto_explore_off'),
+  });
+}
+
+/**
+ * What the next automatic refresh waits for
+ * @param {number} moved - Distance from the last search center in km
+ * @param {number} elapsed - Seconds since the last search
+ * @returns {string|null} Distance or time left, null when a search is due
+ */
+export function autoExploreWait(
+  moved,
+  elapsed,
+  distance = autoExploreDistance,
+  interval = autoExploreInterval
+) {
+  if (moved < distance) return `${Math.ceil(distance - moved)} km`;
+  if (elapsed < interval) return `${Math.ceil(interval - elapsed)}s`;
+  return null;
 }
 
-export async function searchLandmarks() {
+/**
+ * Search again around the aircraft when it moved past the threshold,
+ * at most once per interval, otherwise show what the refresh waits for
+ * @param {Object} aircraftData - Telemetry data from SimConnect
+ */
+async function autoExploreStep(aircraftData) {
+  if (!autoExplore || aircraftData.replay || autoSearching) return;
+  // Route waypoint cards stay until the route is cleared
+  if (landmarksList.querySelector('.waypoint-item')) return;
+
+  const position = { lat: aircraftData.latitude, lng: aircraftData.longitude };
+  const moved = distance_km(
+    lastCenter.lat,
+    lastCenter.lng,
+    position.lat,
+    position.lng
+  );
+  const wait = autoExploreWait(moved, (Date.now() - lastSearchTime) / 1000);
+  if (wait) {
+    updateAutoExploreIndicator(wait);
+    return;
+  }
+
+  autoSearching = true;
+  updateAutoExploreIndicator('…');
   try {
-    // Clear any existing landmarks and markers
+    await searchLandmarks({ center: position, quiet: true });
+  } finally {
+    autoSearching = false;
+  }
+}
+
+/**
+ * Badge on the landmarks button with the distance or time to the next
+ * automatic refresh
+ * @param {string|null} text - Badge text, null to remove it
+ */
+function updateAutoExploreIndicator(text) {
+  if (!searchLandmarksButton) return;
+  if (text) searchLandmarksButton.dataset.next = text;
+  else delete searchLandmarksButton.dataset.next;
+}
+
+/**
+ * Search landmarks around the map center, cache first
+ * @param {Object} options - {center} to search elsewhere, {quiet} to keep
+ *   the current results without spinner or errors until new ones are
+ *   found (auto-explore)
+ */
+export async function searchLandmarks({ center = null, quiet = false } = {}) {
+  // Clear any existing landmarks and markers, only once results are in
+  // for quiet searches
+  const clearResults = () => {
     landmarksList.innerHTML = '';
     mapInterface.clearLandMarkers();
+  };
+  try {
+    if (!quiet) clearResults();
 
-    lastCenter = mapInterface.getMapCenter(map);
+    lastCenter = center || mapInterface.getMapCenter(map);
+    lastSearchTime = Date.now();
     const lat = normalizeCoordValue(lastCenter.lat);
     const lon = normalizeCoordValue(lastCenter.lng);
     const radius_km = calculateSearchRadius(map.getZoom());
@@ -102,7 +226,10 @@ export async function searchLandmarks() {
       // Check cache first
       const cached_data = getCachedLandmarks(lat, lon, radius_km, last_result);
       if (cached_data) {
-        await mapInterface.displayLandmarks(cached_data);
+        if (quiet) clearResults();
+        await mapInterface.displayLandmarks(
+          customLandmarks.mergeNearby(cached_data, lat, lon, radius_km)
+        );
         last_result = cached_data;
         if (cached_data?.cache_type == 'gpt_select') {
           // update cache with images after displaying them
@@ -112,7 +239,7 @@ export async function searchLandmarks() {
       }
 
       // Show loading indicator and fetch from API
-      setLoading(true);
+      if (!quiet) setLoading(true);
       landmarkData = await landmarkService.get_landmark_data(
         lat,
         lon,
@@ -123,15 +250,26 @@ export async function searchLandmarks() {
         cachingNotification.show();
       }
     }
-    if (landmarkData?.landmarks?.length > 0) {
+    // Own pins around the search come first
+    const shownData = customLandmarks.mergeNearby(
+      landmarkData,
+      lat,
+      lon,
+      radius_km
+    );
+    if (shownData.landmarks.length > 0) {
       console.log(
-        `🏛️ Found ${landmarkData.landmarks.length} landmarks`,
+        `🏛️ Found ${shownData.landmarks.length} landmarks`,
         landmarkData
       );
 
       // Display landmarks and show sidebar
-      const imagesToCache = await mapInterface.displayLandmarks(landmarkData);
-      if (landmarkData?.cache_type != 'nearby_places') {
+      if (quiet) clearResults();
+      const imagesToCache = await mapInterface.displayLandmarks(shownData);
+      if (
+        landmarkData?.landmarks?.length > 0 &&
+        landmarkData.cache_type != 'nearby_places'
+      ) {
         // client-side caching for GPT results only
         last_result = landmarkData;
         setCachedLandmarks(lat, lon, radius_km, landmarkData);
@@ -140,12 +278,14 @@ export async function searchLandmarks() {
 
       // Update URL parameters with current position
       updateUrlParameters();
-    } else handleError(i18n.t('errors.no_landmarks_found'));
+    } else if (quiet) console.log('🏛️ No landmarks found');
+    else handleError(i18n.t('errors.no_landmarks_found'));
   } catch (error) {
     console.error(
       'Error searching for landmarks:',
       error.message || 'Unknown error'
     );
+    if (quiet) return; // keep the current results, try again later
 
     // Show error message
     const connectionTitle = escapeHTML(i18n.t('search.error.connection_title'));
@@ -186,6 +326,92 @@ export async function searchLandmarks() {
   }
 }
 
+/**
+ * Find landmarks for one search circle, cache first
+ * @returns {Object|null} Landmark data
+ */
+async function getLandmarksAround(lat, lon, radius_km) {
+  if (isTestMode()) {
+    const config = await getConfig();
+    return { landmarks: config?.test_mode?.test_landmarks || [] };
+  }
+
+  const cached_data = getCachedLandmarks(lat, lon, radius_km, null);
+  if (cached_data) return cached_data;
+
+  const landmarkData = await landmarkService.get_landmark_data(
+    lat,
+    lon,
+    radius_km,
+    null
+  );
+  // client-side caching for GPT results only, as in searchLandmarks
+  if (
+    landmarkData?.landmarks?.length > 0 &&
+    landmarkData.cache_type != 'nearby_places'
+  ) {
+    setCachedLandmarks(lat, lon, radius_km, landmarkData);
+  }
+  return landmarkData;
+}
+
+/**
+ * Search landmarks along a route, listed in the order they are passed
+ * Without a route, uses the path from the aircraft (or map center) to
+ * the destination typed in the search box
+ * @param {Array} route - Route points {lat, lon}, optional
+ */
+export async function searchLandmarksAlongRoute(route = []) {
+  let path = route;
+  if (path.length < 2) {
+    const query = searchInput.value.trim();
+    const destination = query ? await getLocationCoord(query) : null;
+    if (!destination || !validateCoords(destination.lat, destination.lon)) {
+      handleError(i18n.t('errors.no_route'));
+      return;
+    }
+    const start = getLastKnownPosition() || mapInterface.getMapCenter(map);
+    path = [{ lat: start.lat, lon: start.lng }, destination];
+  }
+
+  try {
+    setLoading(true);
+    landmarksList.innerHTML = '';
+    mapInterface.clearLandMarkers();
+
+    // Overlapping search circles, widened to keep long routes affordable;
+    // past max_radius they are spread out and leave gaps between them
+    const length = pathLength(path);
+    const radius_km = Math.min(
+      Math.max(default_radius, length / (1.5 * (max_route_samples - 1))),
+      max_radius
+    );
+    const samples = samplePath(path, radius_km * 1.5, max_route_samples);
+    console.log(
+      `🧭 Searching ${samples.length} points along ${Math.round(length)} km`
+    );
+
+    const found = [];
+    for (const sample of samples) {
+      const lat = normalizeCoordValue(sample.lat);
+      const lon = normalizeCoordValue(sample.lon);
+      const landmarkData = await getLandmarksAround(lat, lon, radius_km);
+      found.push(...(landmarkData?.landmarks || []));
+    }
+
+    const landmarks = orderAlongPath(found, path, radius_km);
+    if (landmarks.length > 0) {
+      console.log(`🏛️ Found ${landmarks.length} landmarks along route`);
+      await mapInterface.displayLandmarks({ landmarks });
+    } else handleError(i18n.t('errors.no_landmarks_found'));
+  } catch (error) {
+    console.error('Error searching along route:', error.message);
+    handleError(i18n.t('errors.no_landmarks_found'));
+  } finally {
+    setLoading(false);
+  }
+}
+
 /**
  * Set up text search functionality
  */
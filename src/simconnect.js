@@ -6,19 +6,89 @@
 
 import { create3DMapOverlay } from './landmark.js';
 import { mapInterface } from './interfaces.js';
-import { validateCoords, handleError } from './utils.js';
+import {
+  getConfig,
+  getSettings,
+  validateCoords,
+  handleError,
+  distance_km,
+} from './utils.js';
 import { i18n, setTooltip } from './lion.js';
 import { updateUrlParameters } from './search.js';
+import { MotionSmoother, deadReckon } from './motion.js';
+import { routeProgress } from './navigation.js';
+import { TelemetryHealth } from './telemetry-health.js';
 
 // Module state
 let map = null;
 let aircraftMarker = null;
 let tracking = false;
-let updateInterval = null;
+let replaying = false;
+let transport = null;
 let lastKnownPosition = null;
 
+// Telemetry link health, see TelemetryHealth for the status values
+const health = new TelemetryHealth();
+let linkStatus = null;
+let healthTimer = null;
+
+// Breadcrumb trail, kept across stop/start within the same session
+const flightTrail = [];
+const trailSegments = [];
+let trailMaxPoints = 3600; // 1 hour at 1Hz
+
+// Samples of the current tracking session, for the altitude profile
+const sessionTrack = [];
+
+// Telemetry transport: 'poll', 'sse', 'ws' or 'auto' (ws, falling back to polling)
+let telemetryTransport = 'poll';
+let telemetryUrl = null;
+
+// Telemetry adapter, the simulator feed serving /api/<adapter>/ routes:
+// 'simconnect' for the MSFS proxy (server.py), 'xplane', 'flightgear' or
+// 'nmea' for server/sim-bridge.js
+const SIM_ADAPTERS = ['simconnect', 'xplane', 'flightgear', 'nmea'];
+let defaultSimAdapter = 'simconnect';
+let simAdapter = defaultSimAdapter;
+
+// Map orientation while tracking: 'north', 'track' or 'heading' up
+const ORIENTATION_MODES = ['north', 'track', 'heading'];
+let orientationMode = 'north';
+
+// Follow-aircraft mode, paused when the user pans the map
+let following = true;
+let followLookAhead = true;
+let targetZoom = null;
+let cameraZoom = null; // zoom last set while following
+
+// Active route {waypoints, activeIndex} for progress and sequencing
+let route = null;
+
 const aircraftTrackingButton = document.getElementById('aircraft-tracking');
+const orientationButton = document.getElementById('orientation-mode');
+const compassRose = document.getElementById('compass-rose');
+const resumeFollowButton = document.getElementById('resume-follow');
 const UPDATE_FREQUENCY = 1000; // 1 second (1Hz)
+const TRAIL_MIN_DISTANCE_KM = 0.01; // skip samples while parked
+const KNOTS_TO_MPS = 0.514444;
+const METERS_PER_PIXEL_Z0 = 156543.03392; // at the equator, zoom 0
+const FOLLOW_MIN_RADIUS_M = 1500; // closest view around the aircraft
+const FOLLOW_AHEAD_SECONDS = 120; // show this much flight ahead
+const LOOK_AHEAD_FRACTION = 0.4; // of the half map height
+const LOOK_AHEAD_MIN_SPEED = 10; // m/s, keep centered while taxiing
+const ZOOM_EASING = 0.03; // per animation frame
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const MAX_STREAM_RETRIES = 3; // before falling back to polling
+
+// Trail color by altitude band (upper bound in meters)
+const TRAIL_COLORS = [
+  { maxAltitude: 300, color: '#2E7D32' },
+  { maxAltitude: 1000, color: '#9E9D24' },
+  { maxAltitude: 3000, color: '#EF6C00' },
+  { maxAltitude: 6000, color: '#C62828' },
+  { maxAltitude: Infinity, color: '#6A1B9A' },
+];
 
 /**
  * Initialize SimConnect module
@@ -27,6 +97,26 @@ const UPDATE_FREQUENCY = 1000; // 1 second (1Hz)
 export async function initSimConnect(mapInstance) {
   map = mapInstance;
   setTooltip(aircraftTrackingButton, 'tooltips.aircraft_tracking_start');
+  updateOrientationButton();
+  map.addListener('heading_changed', updateCompassRose);
+  map.addListener('dragstart', pauseFollow);
+  map.addListener('zoom_changed', () => {
+    // Wheel and pinch zoom would be eased back to the follow zoom
+    if (cameraZoom != null && Math.abs(map.getZoom() - cameraZoom) > 0.01)
+      pauseFollow();
+  });
+
+  const config = await getConfig();
+  if (config?.defaults?.trail_max_points)
+    trailMaxPoints = config.defaults.trail_max_points;
+  if (config?.defaults?.telemetry_transport)
+    telemetryTransport = config.defaults.telemetry_transport;
+  if (config?.defaults?.telemetry_url)
+    telemetryUrl = config.defaults.telemetry_url;
+  if (SIM_ADAPTERS.includes(config?.defaults?.sim_adapter))
+    defaultSimAdapter = config.defaults.sim_adapter;
+  selectSimAdapter();
+  if (config?.defaults?.follow_look_ahead === false) followLookAhead = false;
   return serverAvailable();
 }
 
@@ -34,9 +124,21 @@ export async function initSimConnect(mapInstance) {
  * Create marker with airplane icon using AdvancedMarkerElement
  * @param {Object} position - {lat, lng} coordinates
  * @param {number} heading - Aircraft heading in degrees
+ * @param {Object} [options] - Other aircraft: {color, label, title, zIndex}
+ *   and getPosition() returning their latest {lat, lng} for the 3D view
  * @returns {google.maps.marker.AdvancedMarkerElement} Aircraft marker
  */
-async function createAircraftMarker(position, heading) {
+export async function createAircraftMarker(
+  position,
+  heading,
+  {
+    color = '#0D47A1',
+    label = null,
+    title = i18n.t('tooltips.aircraft_marker'),
+    zIndex = 1000, // Ensure aircraft appears above other markers
+    getPosition = () => lastKnownPosition,
+  } = {}
+) {
   const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
 
   // Create a custom HTML element for the aircraft icon
@@ -44,31 +146,40 @@ async function createAircraftMarker(position, heading) {
   aircraftIcon.innerHTML = `
     <div style="
       width: 48px; height: 48px; display: flex; align-items: center; justify-content: center;
-      transform: rotate(${heading}deg); transition: transform 0.3s ease;
+      transform: rotate(${heading}deg);
       filter: drop-shadow(0 3px 6px rgba(0,0,0,0.3)); cursor: pointer;
     ">
-      <svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" viewBox="0 0 24 24" fill="#0D47A1"
+      <svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" viewBox="0 0 24 24" fill="${color}"
         stroke="white" stroke-width="1" stroke-linejoin="round">
         <path d="M21 13v-2l-8-3V3.5a1.5 1.5 0 0 0-3 0V8L2 11v2l8-1v4l-2 1.5V19l3-1 3 1v-1.5L13 16v-4l8 1z" />
       </svg>
     </div>
   `;
+  if (label) {
+    const callsign = document.createElement('span');
+    callsign.className = 'aircraft-label';
+    callsign.style.borderColor = color;
+    callsign.textContent = label;
+    aircraftIcon.classList.add('labeled-aircraft');
+    aircraftIcon.appendChild(callsign);
+  }
 
   const marker = new AdvancedMarkerElement({
     map: map,
     position: position,
     content: aircraftIcon,
-    title: i18n.t('tooltips.aircraft_marker'),
-    zIndex: 1000, // Ensure aircraft appears above other markers
+    title,
+    zIndex,
   });
 
   // Add click listener to open 3D view
   marker.addListener('click', async () => {
     try {
+      const { lat, lng } = getPosition() || position;
       create3DMapOverlay(
-        position.lat,
-        position.lng,
-        `${position.lat.toFixed(3)}, ${position.lng.toFixed(3)}`
+        lat,
+        lng,
+        label || `${lat.toFixed(3)}, ${lng.toFixed(3)}`
       );
     } catch (err) {
       console.error('Failed to open 3D view:', err);
@@ -78,42 +189,282 @@ async function createAircraftMarker(position, heading) {
   return marker;
 }
 
+/**
+ * Get the trail color for an altitude
+ * @param {number} altitude - Altitude in meters
+ * @returns {string} CSS color
+ */
+function trailColor(altitude) {
+  const band = TRAIL_COLORS.find((b) => (altitude || 0) <= b.maxAltitude);
+  return band.color;
+}
+
+/**
+ * Append a position to the breadcrumb trail, starting a new polyline
+ * segment whenever the aircraft crosses into another altitude band
+ * @param {Object} position - {lat, lng} coordinates
+ * @param {number} altitude - Altitude in meters
+ */
+function extendFlightTrail(position, altitude) {
+  const last = flightTrail[flightTrail.length - 1];
+  if (
+    last &&
+    distance_km(last.lat, last.lng, position.lat, position.lng) <
+      TRAIL_MIN_DISTANCE_KM
+  )
+    return;
+
+  flightTrail.push({ ...position, altitude });
+
+  const color = trailColor(altitude);
+  let segment = trailSegments[trailSegments.length - 1];
+  if (!segment || segment.get('strokeColor') !== color) {
+    segment = new google.maps.Polyline({
+      map: map,
+      path: last ? [{ lat: last.lat, lng: last.lng }] : [],
+      strokeColor: color,
+      strokeOpacity: 0.8,
+      strokeWeight: 3,
+      clickable: false,
+      zIndex: 999, // Just below the aircraft marker
+    });
+    trailSegments.push(segment);
+  }
+  segment.getPath().push(new google.maps.LatLng(position.lat, position.lng));
+
+  // Drop the oldest points beyond the configured max length
+  while (flightTrail.length > trailMaxPoints) {
+    flightTrail.shift();
+    const path = trailSegments[0].getPath();
+    path.removeAt(0);
+    if (path.getLength() < 2) {
+      trailSegments[0].setMap(null);
+      trailSegments.shift();
+    }
+  }
+}
+
+/**
+ * Points of the breadcrumb trail
+ * @returns {Array} Copy of the trail {lat, lng, altitude}, oldest first
+ */
+export function getFlightTrail() {
+  return flightTrail.map((point) => ({ ...point }));
+}
+
+/**
+ * Samples since aircraft tracking was last started
+ * @returns {Array} Copy of the samples {lat, lng, altitude}, oldest first
+ */
+export function getSessionTrack() {
+  return sessionTrack.map((point) => ({ ...point }));
+}
+
+/**
+ * Keep a live sample for the session, skipping those while parked
+ * @param {Object} aircraftData - Telemetry data from SimConnect
+ */
+function recordSessionSample(aircraftData) {
+  const point = {
+    lat: aircraftData.latitude,
+    lng: aircraftData.longitude,
+    altitude: aircraftData.altitude,
+  };
+  const last = sessionTrack[sessionTrack.length - 1];
+  if (
+    last &&
+    distance_km(last.lat, last.lng, point.lat, point.lng) <
+      TRAIL_MIN_DISTANCE_KM
+  )
+    return;
+  sessionTrack.push(point);
+}
+
+/**
+ * Remove the breadcrumb trail from the map
+ */
+export function clearFlightTrail() {
+  trailSegments.forEach((segment) => segment.setMap(null));
+  trailSegments.length = 0;
+  flightTrail.length = 0;
+}
+
+/**
+ * Meters per screen pixel at a latitude and zoom level
+ */
+function metersPerPixel(lat, zoom) {
+  return (
+    (METERS_PER_PIXEL_Z0 * Math.cos((lat * Math.PI) / 180)) / Math.pow(2, zoom)
+  );
+}
+
+/**
+ * Zoom level showing about two minutes of flight ahead, wider when higher
+ * @param {Object} aircraftData - Telemetry data from SimConnect
+ * @returns {number} Fractional zoom level
+ */
+function followZoom(aircraftData) {
+  const speed =
+    aircraftData.ground_speed != null
+      ? aircraftData.ground_speed * KNOTS_TO_MPS
+      : motion.velocity?.speed || 0;
+  const radius = Math.max(
+    FOLLOW_MIN_RADIUS_M,
+    (aircraftData.altitude || 0) * 4,
+    speed * FOLLOW_AHEAD_SECONDS
+  );
+  const halfHeight = (map.getDiv().clientHeight || 600) / 2;
+  const zoom = Math.log2(
+    (METERS_PER_PIXEL_Z0 * Math.cos((aircraftData.latitude * Math.PI) / 180)) /
+      (radius / halfHeight)
+  );
+  return Math.min(Math.max(zoom, 8), 16);
+}
+
+/**
+ * Move the map camera with the aircraft for follow mode and map orientation
+ * @param {Object} position - {lat, lng} coordinates
+ * @param {number} heading - Aircraft heading in degrees
+ * @param {Object|null} velocity - {speed, track} when moving
+ */
+function updateCamera(position, heading, velocity) {
+  const camera = {};
+  const track = velocity?.track ?? heading;
+
+  // Rotate the map so the nose or the track points up
+  if (orientationMode !== 'north') {
+    const mapHeading = orientationMode === 'track' ? track : heading;
+    if (
+      Math.abs(((mapHeading - (map.getHeading() || 0) + 540) % 360) - 180) > 0.5
+    )
+      camera.heading = mapHeading;
+  }
+
+  if (following) {
+    // Keep the aircraft in view, offset toward the direction of travel
+    const zoom = map.getZoom();
+    camera.center = position;
+    if (followLookAhead && velocity?.speed > LOOK_AHEAD_MIN_SPEED) {
+      const halfHeight = (map.getDiv().clientHeight || 600) / 2;
+      const offset =
+        LOOK_AHEAD_FRACTION * halfHeight * metersPerPixel(position.lat, zoom);
+      camera.center = deadReckon(position, track, offset, 1);
+    }
+    if (targetZoom != null && Math.abs(targetZoom - zoom) > 0.05)
+      camera.zoom = zoom + (targetZoom - zoom) * ZOOM_EASING;
+    cameraZoom = camera.zoom ?? zoom;
+  }
+
+  if (Object.keys(camera).length) map.moveCamera(camera);
+}
+
+/**
+ * Pause follow mode after a manual pan or zoom
+ */
+function pauseFollow() {
+  if (!following || (!tracking && !replaying)) return;
+  following = false;
+  cameraZoom = null;
+  resumeFollowButton?.classList.remove('hidden');
+}
+
+/**
+ * Resume following the aircraft
+ */
+export function resumeFollow() {
+  following = true;
+  resumeFollowButton?.classList.add('hidden');
+}
+
+/**
+ * Render an animation frame of the aircraft marker
+ * @param {Object} position - {lat, lng} coordinates
+ * @param {number} heading - Aircraft heading in degrees
+ * @param {Object|null} velocity - {speed, track} when moving
+ */
+function renderAircraftMarker(position, heading, velocity) {
+  if (!aircraftMarker) return;
+  aircraftMarker.position = position;
+  updateCamera(position, heading, velocity);
+
+  // Update rotation by modifying the content element, relative to the map
+  const iconDiv = aircraftMarker.content.querySelector('div');
+  if (iconDiv) {
+    iconDiv.style.transform = `rotate(${heading - (map.getHeading() || 0)}deg)`;
+  }
+}
+
+/**
+ * Switch to the next map orientation mode
+ * @returns {string} New orientation mode
+ */
+export function cycleOrientationMode() {
+  const next =
+    (ORIENTATION_MODES.indexOf(orientationMode) + 1) % ORIENTATION_MODES.length;
+  setOrientationMode(ORIENTATION_MODES[next]);
+  return orientationMode;
+}
+
+/**
+ * Set map orientation mode, rotating back to north for north-up
+ * @param {string} mode - 'north', 'track' or 'heading'
+ */
+export function setOrientationMode(mode) {
+  orientationMode = mode;
+  if (mode === 'north') map.setHeading(0);
+  updateOrientationButton();
+}
+
+function updateOrientationButton() {
+  if (!orientationButton) return;
+  const labels = { north: 'N↑', track: 'TRK', heading: 'HDG' };
+  orientationButton.textContent = labels[orientationMode];
+  setTooltip(orientationButton, `tooltips.orientation_${orientationMode}`);
+}
+
+/**
+ * Rotate the compass rose needle to the current map heading
+ */
+function updateCompassRose() {
+  const needle = compassRose?.querySelector('svg');
+  if (needle) needle.style.transform = `rotate(${-(map.getHeading() || 0)}deg)`;
+}
+
+const motion = new MotionSmoother(renderAircraftMarker);
+
 /**
  * Update aircraft marker position and rotation
  * @param {Object} aircraftData - Telemetry data from SimConnect
+ * @param {boolean} replay - Position comes from a replayed track log
  */
-async function updateAircraftMarker(aircraftData) {
+async function updateAircraftMarker(aircraftData, replay = false) {
   const position = {
     lat: aircraftData.latitude,
     lng: aircraftData.longitude,
   };
 
-  // Skip update if out of bounds
-  if (map.getBounds().contains(position)) {
-    if (!aircraftMarker) {
-      aircraftMarker = await createAircraftMarker(
-        position,
-        aircraftData.heading
-      );
-    } else {
-      const currentCenter = mapInterface.getMapCenter(map);
-      if (
-        Math.abs(currentCenter.lat - position.lat) < 0.01 &&
-        Math.abs(currentCenter.lng - position.lng) < 0.01
-      ) {
-        mapInterface.mapPanTo(position.lat, position.lng, 0);
-      }
-
-      // Update existing marker position
-      aircraftMarker.position = position;
-
-      // Update rotation by modifying the content element
-      const iconDiv = aircraftMarker.content.querySelector('div');
-      if (iconDiv) {
-        iconDiv.style.transform = `rotate(${aircraftData.heading}deg)`;
-      }
-    }
+  // Record the trail even while the aircraft is off-screen
+  if (!replay) extendFlightTrail(position, aircraftData.altitude);
+
+  if (!aircraftMarker) {
+    aircraftMarker = await createAircraftMarker(position, aircraftData.heading);
+    if (!replay) showLinkStatus();
   }
+  targetZoom = followZoom(aircraftData);
+
+  // Animate towards the new sample, dead-reckoning live data between samples
+  motion.update(
+    {
+      ...position,
+      heading: aircraftData.heading,
+      groundSpeed:
+        aircraftData.ground_speed != null
+          ? aircraftData.ground_speed * KNOTS_TO_MPS
+          : undefined,
+      track: aircraftData.track,
+    },
+    !replay
+  );
 
   // Store last known position for debugging
   lastKnownPosition = {
@@ -122,22 +473,103 @@ async function updateAircraftMarker(aircraftData) {
     altitude: aircraftData.altitude,
     timestamp: Date.now(),
   };
+
+  updateRouteProgress(aircraftData);
+}
+
+/**
+ * Set the route to navigate, flying to its second waypoint first
+ * @param {Array} waypoints - Route waypoints {lat, lon, ...}, empty to clear
+ */
+export function setRoute(waypoints) {
+  route = waypoints.length
+    ? { waypoints, activeIndex: Math.min(1, waypoints.length - 1) }
+    : null;
+}
+
+/**
+ * Compute route progress for a sample and notify other components,
+ * sequencing to the next waypoint once the active one is passed
+ * @param {Object} aircraftData - Telemetry data from SimConnect
+ */
+function updateRouteProgress(aircraftData) {
+  if (!route) return;
+  const groundSpeed =
+    aircraftData.ground_speed ??
+    (motion.velocity ? motion.velocity.speed / KNOTS_TO_MPS : 0);
+  const progress = routeProgress(
+    { lat: aircraftData.latitude, lon: aircraftData.longitude },
+    route.waypoints,
+    route.activeIndex,
+    groundSpeed
+  );
+
+  const sequenced = progress.activeIndex !== route.activeIndex;
+  route.activeIndex = progress.activeIndex;
+  window.dispatchEvent(
+    new CustomEvent('SimConnect_route', {
+      detail: { ...progress, sequenced, groundSpeed },
+    })
+  );
+}
+
+/**
+ * Aircraft telemetry served by the SimConnect proxy
+ * @typedef {Object} AircraftData
+ * @property {number} latitude - Degrees
+ * @property {number} longitude - Degrees
+ * @property {number} altitude - Meters above sea level
+ * @property {number} heading - Degrees
+ * @property {number} [indicated_airspeed] - Knots
+ * @property {number} [true_airspeed] - Knots
+ * @property {number} [ground_speed] - Knots
+ * @property {number} [vertical_speed] - Feet per minute
+ * @property {number} [track] - True ground track in degrees
+ * @property {boolean} [on_ground] - Wheels on the ground
+ * @property {string} [title] - Aircraft title from the simulator
+ * @property {boolean} [connected] - Simulator link is up
+ * @property {number} [last_update] - Sample time in epoch seconds
+ */
+
+/**
+ * Pick the telemetry adapter from the SIM_ADAPTER setting, or the
+ * sim_adapter config default
+ * @returns {string} Adapter name
+ */
+function selectSimAdapter() {
+  const setting = getSettings().SIM_ADAPTER?.trim().toLowerCase();
+  if (setting && !SIM_ADAPTERS.includes(setting))
+    console.warn(
+      `Unknown SIM_ADAPTER "${setting}", using ${defaultSimAdapter}`
+    );
+  simAdapter = SIM_ADAPTERS.includes(setting) ? setting : defaultSimAdapter;
+  return simAdapter;
+}
+
+/**
+ * Route of the selected telemetry adapter
+ * @param {string} route - 'connect', 'track', 'stream' or 'ws'
+ * @returns {string} Path on the telemetry server
+ */
+function adapterPath(route) {
+  return `/api/${simAdapter}/${route}`;
 }
 
 /**
- * Fetch aircraft data from SimConnect server
- * @returns {Object|null} Aircraft telemetry data or null if unavailable
+ * Fetch aircraft data from the telemetry adapter
+ * @returns {AircraftData|null} Aircraft telemetry data, marked not connected
+ *   without a valid position, or null if the server is unavailable
  */
 export async function fetchAircraftData() {
   try {
-    const response = await fetch(
-      `/api/simconnect/${tracking ? 'track' : 'connect'}`
-    );
+    const response = await fetch(adapterPath(tracking ? 'track' : 'connect'));
     if (!response.ok)
-      throw new Error(`No SimConnect server: ${response.status}`);
+      throw new Error(`No ${simAdapter} server: ${response.status}`);
 
     const data = await response.json();
-    return validateCoords(data.latitude, data.longitude) ? data : null;
+    return validateCoords(data.latitude, data.longitude)
+      ? data
+      : { ...data, connected: false };
   } catch (err) {
     console.warn('Failed to fetch aircraft data:', err.message);
     return null;
@@ -145,24 +577,303 @@ export async function fetchAircraftData() {
 }
 
 /**
- * Start real-time aircraft tracking
+ * Notify other components (e.g. flight recorder) of a new telemetry sample
+ * @param {Object} aircraftData - Telemetry data from SimConnect
  */
-function startAircraftTracking() {
-  if (updateInterval) {
-    return; // Already running
+function notifyTelemetry(aircraftData) {
+  window.dispatchEvent(
+    new CustomEvent('SimConnect_telemetry', { detail: aircraftData })
+  );
+}
+
+/**
+ * Notify other components that the aircraft marker was removed
+ */
+function notifyStopped() {
+  window.dispatchEvent(new CustomEvent('SimConnect_stopped'));
+}
+
+/**
+ * Base class for telemetry transports, delivering samples to
+ * handlers.onSample and reporting link state to handlers.onState:
+ * 'connecting' | 'open' | 'reconnecting' | 'closed'
+ */
+class TelemetryTransport {
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.retries = 0;
+    this.opened = false;
+    this.stopped = true;
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    this.stopped = false;
+    this.setState('connecting');
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.close();
+    this.setState('closed');
+  }
+
+  setState(state) {
+    this.handlers.onState?.(state);
+  }
+
+  onOpen() {
+    this.opened = true;
+    this.retries = 0;
+    this.setState('open');
+  }
+
+  /**
+   * Parse a pushed message and hand over valid samples, or the link status
+   * @param {string} text - JSON telemetry message
+   */
+  receive(text) {
+    try {
+      const data = JSON.parse(text);
+      if (validateCoords(data.latitude, data.longitude))
+        this.handlers.onSample(data);
+      else this.handlers.onSample({ ...data, connected: false });
+    } catch (err) {
+      console.warn('Invalid telemetry message:', err.message);
+    }
+  }
+
+  /**
+   * Reconnect with exponential backoff, or fall back to polling if the
+   * stream never opened
+   */
+  reconnect() {
+    if (this.stopped) return;
+    if (!this.opened && this.retries >= MAX_STREAM_RETRIES) {
+      console.warn('Telemetry stream unavailable, falling back to polling');
+      this.stop();
+      this.handlers.onFallback?.();
+      return;
+    }
+
+    const delay = this.backoff();
+    this.retries++;
+    this.setState('reconnecting');
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Exponential backoff with jitter for the current retry count
+   * @returns {number} Delay in milliseconds
+   */
+  backoff() {
+    const backoff = Math.min(
+      RECONNECT_MAX_MS,
+      RECONNECT_BASE_MS * Math.pow(2, this.retries)
+    );
+    return backoff * (0.75 + Math.random() * 0.5); // add jitter
   }
 
-  updateInterval = setInterval(async () => {
+  connect() {}
+
+  close() {}
+}
+
+/**
+ * Poll the telemetry server once per UPDATE_FREQUENCY, backing off while
+ * the server or the simulator is unavailable
+ */
+class PollingTransport extends TelemetryTransport {
+  connect() {
+    this.onOpen();
+    this.poll();
+  }
+
+  async poll() {
     const aircraftData = await fetchAircraftData();
+    if (this.stopped) return;
+    this.handlers.onSample(aircraftData);
+
+    let delay = UPDATE_FREQUENCY;
     if (aircraftData && aircraftData.connected !== false) {
-      if (aircraftData.latitude && aircraftData.longitude) {
-        await updateAircraftMarker(aircraftData);
-      }
-    } else stopAircraftTracking();
-  }, UPDATE_FREQUENCY);
+      if (this.retries) this.onOpen();
+    } else {
+      delay = Math.max(UPDATE_FREQUENCY, this.backoff());
+      this.retries++;
+      if (!aircraftData) this.setState('reconnecting');
+    }
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Consume a Server-Sent Events telemetry stream
+ */
+class EventSourceTransport extends TelemetryTransport {
+  constructor(url, handlers) {
+    super(handlers);
+    this.url = url;
+  }
+
+  connect() {
+    this.source = new EventSource(this.url);
+    this.source.onopen = () => this.onOpen();
+    this.source.onmessage = (event) => this.receive(event.data);
+    this.source.onerror = () => {
+      // Replace the built-in retry with our own backoff
+      this.close();
+      this.reconnect();
+    };
+  }
+
+  close() {
+    this.source?.close();
+    this.source = null;
+  }
+}
+
+/**
+ * Consume a WebSocket telemetry stream
+ */
+class WebSocketTransport extends TelemetryTransport {
+  constructor(url, handlers) {
+    super(handlers);
+    this.url = url;
+  }
+
+  connect() {
+    this.socket = new WebSocket(this.url);
+    this.socket.onopen = () => this.onOpen();
+    this.socket.onmessage = (event) => this.receive(event.data);
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.reconnect();
+    };
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Resolve the stream endpoint for a transport kind
+ * @param {string} kind - 'sse' or 'ws'
+ * @returns {string} Absolute URL of the telemetry stream
+ */
+function streamUrl(kind) {
+  const path = adapterPath(kind === 'ws' ? 'ws' : 'stream');
+  const url = new URL(telemetryUrl || path, window.location.href);
+  if (kind === 'ws') url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+}
+
+/**
+ * Create the configured telemetry transport
+ * @param {Object} handlers - {onSample, onState}
+ * @returns {TelemetryTransport} Transport, not yet started
+ */
+function createTelemetryTransport(handlers) {
+  const fallback = {
+    ...handlers,
+    onFallback: () => {
+      transport = new PollingTransport(handlers);
+      transport.start();
+    },
+  };
+
+  if (
+    (telemetryTransport === 'ws' || telemetryTransport === 'auto') &&
+    typeof WebSocket !== 'undefined'
+  )
+    return new WebSocketTransport(streamUrl('ws'), fallback);
+  if (telemetryTransport === 'sse' && typeof EventSource !== 'undefined')
+    return new EventSourceTransport(streamUrl('sse'), fallback);
+  return new PollingTransport(handlers);
+}
+
+/**
+ * Handle one telemetry sample from the active transport, keeping the last
+ * position on the map while the link is down
+ * @param {Object|null} aircraftData - Telemetry data, or null on failure
+ */
+async function handleTelemetry(aircraftData) {
+  if (!tracking) return;
+  setLinkStatus(health.update(aircraftData));
+  if (!health.live) return;
+
+  await updateAircraftMarker(aircraftData);
+  if (linkStatus !== 'ok') return;
+  recordSessionSample(aircraftData);
+  notifyTelemetry(aircraftData);
+}
+
+/**
+ * Show the transport link state as an indicator on the aircraft button
+ * @param {string} state - 'connecting' | 'open' | 'reconnecting' | 'closed'
+ */
+function updateLinkState(state) {
+  if (aircraftTrackingButton) aircraftTrackingButton.dataset.link = state;
+  if (state === 'reconnecting' && tracking) setLinkStatus('server_down');
+}
+
+/**
+ * Report a change of the telemetry link health
+ * @param {string|null} status - See TelemetryHealth
+ */
+function setLinkStatus(status) {
+  if (!status || status === linkStatus) return;
+  linkStatus = status;
+  health.set(status);
+  console.log(`✈️ Telemetry ${status.replace('_', ' ')}`);
+  showLinkStatus();
+  updateTrackingButton();
+}
+
+/**
+ * Grey out the aircraft marker while its position is not live
+ */
+function showLinkStatus() {
+  aircraftMarker?.content.classList.toggle(
+    'aircraft-stale',
+    tracking && !health.live
+  );
+}
+
+/**
+ * Start real-time aircraft tracking
+ */
+function startAircraftTracking() {
+  if (transport) {
+    return; // Already running
+  }
 
   tracking = true;
-  console.log('✈️ Aircraft tracking started');
+  sessionTrack.length = 0;
+  health.reset();
+  linkStatus = null;
+  transport = createTelemetryTransport({
+    onSample: handleTelemetry,
+    onState: updateLinkState,
+  });
+  transport.start();
+  healthTimer = setInterval(
+    () => setLinkStatus(health.check()),
+    UPDATE_FREQUENCY
+  );
+
+  console.log(`✈️ Aircraft tracking started (${simAdapter})`);
   updateTrackingButton();
 }
 
@@ -170,15 +881,21 @@ function startAircraftTracking() {
  * Stop aircraft tracking and remove marker
  */
 function stopAircraftTracking() {
-  if (updateInterval) {
-    clearInterval(updateInterval);
-    updateInterval = null;
+  if (transport) {
+    transport.stop();
+    transport = null;
   }
+  clearInterval(healthTimer);
+  healthTimer = null;
+  linkStatus = null;
 
   if (aircraftMarker) {
     aircraftMarker.map = null;
     aircraftMarker = null;
+    motion.stop();
   }
+  resumeFollow();
+  notifyStopped();
 
   tracking = false;
   console.log('Aircraft tracking stopped');
@@ -189,9 +906,13 @@ function updateTrackingButton() {
   // Update button appearance based on state
   aircraftTrackingButton.style.backgroundColor = tracking ? '#4CAF50' : 'white';
   aircraftTrackingButton.style.color = tracking ? 'white' : 'black';
-  const tooltipKey = tracking
-    ? 'tooltips.aircraft_tracking_stop'
-    : 'tooltips.aircraft_tracking_start';
+  let tooltipKey = 'tooltips.aircraft_tracking_start';
+  if (tracking) {
+    tooltipKey =
+      linkStatus && linkStatus !== 'ok'
+        ? `tooltips.aircraft_tracking_${linkStatus}`
+        : 'tooltips.aircraft_tracking_stop';
+  }
   setTooltip(aircraftTrackingButton, tooltipKey);
 }
 
@@ -200,22 +921,13 @@ function updateTrackingButton() {
  * @returns {boolean} New enabled state
  */
 export async function toggleAircraftTracking() {
-  if (tracking && lastKnownPosition) {
-    const currentCenter = mapInterface.getMapCenter(map);
-    if (
-      Math.abs(currentCenter.lat - lastKnownPosition.lat) > 0.01 ||
-      Math.abs(currentCenter.lng - lastKnownPosition.lng) > 0.01
-    ) {
-      mapInterface.mapPanTo(lastKnownPosition.lat, lastKnownPosition.lng, 0);
-      updateUrlParameters(true);
-      return true;
-    }
-  }
-
   if (!tracking) {
+    selectSimAdapter();
     if (await serverAvailable()) {
+      replaying = false;
       if (lastKnownPosition)
         mapInterface.mapPanTo(lastKnownPosition.lat, lastKnownPosition.lng, 0);
+      resumeFollow();
       startAircraftTracking();
     } else {
       handleError(i18n.t('errors.moving_map_server_unavailable'));
@@ -235,10 +947,50 @@ async function serverAvailable() {
   return flag === false;
 }
 
+/**
+ * Move the aircraft marker to a replayed position, taking over from live tracking
+ * @param {Object} aircraftData - Telemetry-shaped sample from a track log
+ */
+export async function replayAircraftPosition(aircraftData) {
+  if (tracking) stopAircraftTracking();
+  replaying = true;
+  await updateAircraftMarker(aircraftData, true);
+  notifyTelemetry({ ...aircraftData, replay: true });
+}
+
+/**
+ * End replay and remove the aircraft marker
+ */
+export function endAircraftReplay() {
+  if (!replaying) return;
+  replaying = false;
+  if (aircraftMarker) {
+    aircraftMarker.map = null;
+    aircraftMarker = null;
+    motion.stop();
+  }
+  resumeFollow();
+  notifyStopped();
+}
+
+/**
+ * @returns {boolean} Whether a track log replay owns the aircraft marker
+ */
+export function isAircraftReplaying() {
+  return replaying;
+}
+
+/**
+ * @returns {boolean} Whether live tracking is running
+ */
+export function isAircraftTracking() {
+  return tracking;
+}
+
 /**
  * Get last known aircraft position for debugging
  * @returns {Object|null} Last known position data
  */
 export function getLastKnownPosition() {
-  return tracking ? lastKnownPosition : null;
+  return tracking || replaying ? lastKnownPosition : null;
 }
@@ -0,0 +1,84 @@
+/**
+ * Telemetry link health for the aircraft tracker
+ * Status: 'ok', 'server_down', 'sim_disconnected', 'paused' or 'stale'
+ */
+
+const STALE_MS = 5000; // sample time unchanged, or no sample, for this long
+const PAUSE_SAMPLES = 3; // airborne without moving for this many samples
+
+export class TelemetryHealth {
+  /**
+   * @param {number} staleMs - Report stale data after this long
+   */
+  constructor(staleMs = STALE_MS) {
+    this.staleMs = staleMs;
+    this.reset();
+  }
+
+  reset() {
+    this.status = null;
+    this.lastUpdate = null; // last_update of the newest sample
+    this.lastChange = null; // local time when last_update last advanced
+    this.lastSample = null; // local time of the last answer
+    this.lastPosition = null;
+    this.frozenCount = 0;
+  }
+
+  /**
+   * Classify one answer from the telemetry transport
+   * @param {Object|null} aircraftData - Sample, or null when the server
+   *   did not answer
+   * @param {number} [now] - Local time in milliseconds
+   * @returns {string} Health status
+   */
+  update(aircraftData, now = Date.now()) {
+    if (!aircraftData) return this.set('server_down');
+    this.lastSample = now;
+    if (aircraftData.connected === false) return this.set('sim_disconnected');
+    if (aircraftData.paused) return this.set('paused');
+
+    // Servers without last_update only send fresh samples
+    const stamp = aircraftData.last_update ?? now;
+    if (stamp !== this.lastUpdate) {
+      this.lastUpdate = stamp;
+      this.lastChange = now;
+    }
+    if (now - this.lastChange > this.staleMs) return this.set('stale');
+
+    // A paused simulator keeps answering with the aircraft frozen in the air
+    const position = `${aircraftData.latitude},${aircraftData.longitude},${aircraftData.altitude}`;
+    this.frozenCount =
+      position === this.lastPosition && aircraftData.on_ground === false
+        ? this.frozenCount + 1
+        : 0;
+    this.lastPosition = position;
+    return this.set(this.frozenCount >= PAUSE_SAMPLES ? 'paused' : 'ok');
+  }
+
+  /**
+   * Check for a stream that stopped sending between samples
+   * @param {number} [now] - Local time in milliseconds
+   * @returns {string|null} Health status
+   */
+  check(now = Date.now()) {
+    if (
+      (this.status === 'ok' || this.status === 'paused') &&
+      now - this.lastSample > this.staleMs
+    ) {
+      return this.set('stale');
+    }
+    return this.status;
+  }
+
+  set(status) {
+    this.status = status;
+    return status;
+  }
+
+  /**
+   * Whether the marker shows a live position
+   */
+  get live() {
+    return this.status === 'ok' || this.status === 'paused';
+  }
+}
@@ -217,6 +217,679 @@ async function runAllTests() {
   }
   log('✅ queryLocationWithGPT passed', { count: queryResult.landmarks });
 
+  log('Testing toGPX() / toKML() / toIGC()');
+  const { toGPX, toKML, toIGC } = await import('./tracklog.js');
+  const samples = [
+    { lat: 37.6188, lon: -122.3754, alt: 4, hdg: 280, t: 1700000000000 },
+    { lat: 37.6201, lon: -122.3901, alt: 152.4, hdg: 281, t: 1700000010000 },
+  ];
+  const gpx = toGPX(samples, 'Test');
+  const kml = toKML(samples, 'Test');
+  const igc = toIGC(samples);
+  if (
+    (gpx.match(/<trkpt /g) || []).length !== 2 ||
+    !kml.includes('<extrude>1</extrude>') ||
+    !igc.includes('B2213203737128N12222524WA0000400004')
+  ) {
+    error('Track log export returned invalid data');
+    return false;
+  }
+  log('✅ Track log export passed', { igcLines: igc.split('\r\n').length });
+
+  log('Testing flightRecorder new flight');
+  const { flightRecorder } = await import('./flight-recorder.js');
+  [0, 10, 7200].forEach((seconds) =>
+    flightRecorder.addSample({
+      latitude: 37.6,
+      longitude: -122.4 + seconds / 1e5,
+      altitude: 100,
+      last_update: 1700000000 + seconds,
+    })
+  );
+  const previousFlight = JSON.parse(
+    localStorage.getItem('FLIGHT_LOG_PREVIOUS') || '{}'
+  );
+  if (
+    flightRecorder.samples.length !== 1 ||
+    previousFlight.samples?.length !== 2
+  ) {
+    error('flightRecorder did not keep the previous flight');
+    return false;
+  }
+  flightRecorder.clear();
+  log('✅ flightRecorder new flight passed', {
+    previous: previousFlight.samples.length,
+  });
+
+  log('Testing parseGPX() / parseIGC()');
+  const { parseGPX, parseIGC } = await import('./tracklog.js');
+  const fromGPX = parseGPX(gpx);
+  const fromIGC = parseIGC(igc);
+  if (
+    fromGPX.length !== 2 ||
+    fromIGC.length !== 2 ||
+    fromIGC[1].t !== samples[1].t ||
+    Math.abs(fromIGC[1].lon - samples[1].lon) > 0.0001 ||
+    Math.abs(fromGPX[0].hdg - 275) > 5
+  ) {
+    error('Track log parsing returned invalid data');
+    return false;
+  }
+  log('✅ Track log parsing passed', { heading: fromGPX[0].hdg });
+
+  log('Testing deadReckon()');
+  const { deadReckon } = await import('./motion.js');
+  const reckoned = deadReckon({ lat: 0, lng: 0 }, 90, 100, 60);
+  if (
+    Math.abs(reckoned.lat) > 1e-9 ||
+    Math.abs(reckoned.lng - 0.05396) > 1e-4
+  ) {
+    error('deadReckon returned invalid position');
+    return false;
+  }
+  log('✅ deadReckon passed', { lng: reckoned.lng.toFixed(5) });
+
+  log('Testing FlightPhaseDetector');
+  const { FlightPhaseDetector } = await import('./flight-phase.js');
+  const detector = new FlightPhaseDetector();
+  const phases = [];
+  const profile = [
+    // [seconds, ground speed kt, vertical speed fpm, altitude m, on ground]
+    [0, 10, 0, 4, true],
+    [10, 70, 0, 4, true],
+    [20, 80, 800, 50, false],
+    [60, 100, 800, 400, false],
+    [70, 100, 800, 450, false],
+    [80, 100, 800, 500, false],
+    [90, 110, 0, 500, false],
+    [100, 110, 0, 500, false],
+    [110, 110, 0, 500, false],
+    [120, 110, 0, 500, false],
+    [130, 90, -600, 450, false],
+    [140, 90, -600, 400, false],
+    [150, 90, -600, 350, false],
+    [160, 90, -600, 300, false],
+    [170, 90, -600, 250, false],
+    [180, 80, -600, 200, false],
+    [200, 60, 0, 4, true],
+    [220, 15, 0, 4, true],
+  ];
+  for (const [t, gs, vs, alt, onGround] of profile) {
+    const phase = detector.update({
+      latitude: 37.6188,
+      longitude: -122.3754,
+      altitude: alt,
+      ground_speed: gs,
+      vertical_speed: vs,
+      on_ground: onGround,
+      last_update: 1700000000 + t,
+    });
+    if (phase) phases.push(phase);
+  }
+  const expected = 'taxi,takeoff,climb,cruise,approach,landed,taxi';
+  if (phases.join(',') !== expected) {
+    error(`FlightPhaseDetector returned ${phases.join(',')}`);
+    return false;
+  }
+  log('✅ FlightPhaseDetector passed', { phases: phases.length });
+
+  log('Testing hudSpeeds()');
+  const { hudSpeeds } = await import('./components.js');
+  const hudPrev = {
+    latitude: 0,
+    longitude: 0,
+    altitude: 1000,
+    last_update: 100,
+  };
+  const hudSample = { ...hudPrev, longitude: 0.01, altitude: 1010 };
+  const derived = hudSpeeds(hudPrev, { ...hudSample, last_update: 110 });
+  const reported = hudSpeeds(hudPrev, {
+    ...hudSample,
+    last_update: 110,
+    ground_speed: 120,
+    vertical_speed: -500,
+  });
+  if (
+    Math.abs(derived.groundSpeed - 216.1) > 0.5 ||
+    Math.abs(derived.verticalSpeed - 196.85) > 0.1 ||
+    reported.groundSpeed !== 120 ||
+    reported.verticalSpeed !== -500 ||
+    hudSpeeds(null, hudSample).groundSpeed !== undefined
+  ) {
+    error('hudSpeeds returned invalid speeds', derived);
+    return false;
+  }
+  log('✅ hudSpeeds passed', { groundSpeed: derived.groundSpeed.toFixed(1) });
+
+  log('Testing parseFlightPlan()');
+  const { parseFlightPlan } = await import('./flightplan.js');
+  const pln = parseFlightPlan(
+    `<SimBase.Document><FlightPlan.FlightPlan>
+      <ATCWaypoint id="KSFO"><ATCWaypointType>Airport</ATCWaypointType>
+        <WorldPosition>N37° 37' 8.00",W122° 22' 30.00",+000013.00</WorldPosition>
+        <ICAO><ICAOIdent>KSFO</ICAOIdent></ICAO></ATCWaypoint>
+      <ATCWaypoint id="SFO"><ATCWaypointType>VOR</ATCWaypointType>
+        <WorldPosition>N37° 37' 10.00",W122° 22' 26.00",+005000.00</WorldPosition>
+      </ATCWaypoint>
+    </FlightPlan.FlightPlan></SimBase.Document>`,
+    'KSFO.pln'
+  );
+  const lnm = parseFlightPlan(
+    `<LittleNavmap><Flightplan><Waypoints>
+      <Waypoint><Name>San Francisco Intl</Name><Ident>KSFO</Ident>
+        <Type>AIRPORT</Type><Pos Lon="-122.374843" Lat="37.618969" Alt="13"/>
+      </Waypoint>
+      <Waypoint><Ident>OAK</Ident><Type>VOR</Type>
+        <Pos Lon="-122.223719" Lat="37.725572" Alt="5000"/></Waypoint>
+    </Waypoints></Flightplan></LittleNavmap>`
+  );
+  const rte = parseFlightPlan(
+    `<gpx><rte><rtept lat="37.6189" lon="-122.3748"><name>KSFO</name></rtept>
+      <rtept lat="37.7213" lon="-122.2207"><name>KOAK</name></rtept></rte></gpx>`,
+    'route.gpx'
+  );
+  const ofp = parseFlightPlan(
+    `<OFP>
+      <origin><icao_code>KSFO</icao_code><name>San Francisco Intl</name>
+        <elevation>13</elevation><pos_lat>37.618969</pos_lat>
+        <pos_long>-122.374843</pos_long></origin>
+      <destination><icao_code>KLAX</icao_code><name>Los Angeles Intl</name>
+        <pos_lat>33.942496</pos_lat><pos_long>-118.408049</pos_long></destination>
+      <navlog>
+        <fix><ident>SFO</ident><name>SAN FRANCISCO</name><type>vor</type>
+          <pos_lat>37.619483</pos_lat><pos_long>-122.373894</pos_long>
+          <altitude_feet>5000</altitude_feet></fix>
+        <fix><ident>KLAX</ident><type>apt</type><pos_lat>33.942496</pos_lat>
+          <pos_long>-118.408049</pos_long></fix>
+      </navlog>
+    </OFP>`,
+    'ofp.xml'
+  );
+  if (
+    pln.length !== 2 ||
+    Math.abs(pln[0].lat - 37.61889) > 1e-4 ||
+    Math.abs(pln[0].lon + 122.375) > 1e-4 ||
+    Math.abs(pln[1].alt - 1524) > 0.1 ||
+    lnm.length !== 2 ||
+    lnm[0].name !== 'San Francisco Intl' ||
+    lnm[1].type !== 'vor' ||
+    rte.length !== 2 ||
+    rte[1].ident !== 'KOAK' ||
+    ofp.map((wpt) => wpt.ident).join() !== 'KSFO,SFO,KLAX' ||
+    ofp[0].type !== 'airport' ||
+    ofp[1].type !== 'vor' ||
+    Math.abs(ofp[1].alt - 1524) > 0.1
+  ) {
+    error('parseFlightPlan returned invalid waypoints');
+    return false;
+  }
+  log('✅ parseFlightPlan passed', {
+    pln: pln.length,
+    lnm: lnm.length,
+    ofp: ofp.length,
+  });
+
+  log('Testing routeProgress()');
+  const { routeProgress } = await import('./navigation.js');
+  const legs = [
+    { lat: 0, lon: 0 },
+    { lat: 0, lon: 1 },
+    { lat: 0, lon: 2 },
+  ];
+  const onLeg = routeProgress({ lat: 0.01, lon: 0.5 }, legs, 1, 120);
+  const passed = routeProgress({ lat: 0, lon: 1.2 }, legs, 1, 120);
+  if (
+    onLeg.activeIndex !== 1 ||
+    Math.abs(onLeg.xte + 1.112) > 0.01 ||
+    Math.abs(onLeg.remaining - 166.8) > 0.5 ||
+    passed.activeIndex !== 2 ||
+    Math.abs(passed.remaining - 88.96) > 0.5 ||
+    Math.abs(passed.ete - 1441) > 10
+  ) {
+    error('routeProgress returned invalid progress');
+    return false;
+  }
+  log('✅ routeProgress passed', { xte: onLeg.xte.toFixed(3) });
+
+  log('Testing samplePath() / orderAlongPath()');
+  const { samplePath, orderAlongPath } = await import('./navigation.js');
+  const routeSamples = samplePath(legs, 30);
+  const ordered = orderAlongPath(
+    [
+      { name: 'Far', lat: 0.05, lon: 1.8 },
+      { name: 'Near', lat: -0.05, lon: 0.3 },
+      { name: 'near', lat: -0.05, lon: 0.3 },
+      { name: 'Off route', lat: 1, lon: 1 },
+    ],
+    legs,
+    15
+  );
+  if (
+    routeSamples.length !== 9 ||
+    samplePath(legs, 1, 4).length !== 4 ||
+    Math.abs(routeSamples[4].lon - 1) > 1e-6 ||
+    ordered.map((l) => l.name).join(',') !== 'Near,Far' ||
+    Math.abs(ordered[0].along_km - 33.36) > 0.1
+  ) {
+    error('Landmarks along route returned invalid order');
+    return false;
+  }
+  log('✅ Landmarks along route passed', { samples: routeSamples.length });
+
+  log('Testing Geofence');
+  const { Geofence } = await import('./geofence.js');
+  const fence = new Geofence(2);
+  const sights = [{ key: 'Golden Gate Bridge', lat: 37.8199, lon: -122.4783 }];
+  const alerts = [
+    fence.update({ lat: 37.79, lon: -122.4783 }, sights), // 3.3 km
+    fence.update({ lat: 37.805, lon: -122.4783 }, sights), // 1.7 km, enter
+    fence.update({ lat: 37.8199, lon: -122.4783 }, sights),
+    fence.update({ lat: 37.795, lon: -122.4783 }, sights), // 2.8 km, inside
+    fence.update({ lat: 37.78, lon: -122.4783 }, sights), // 4.4 km, exit
+    fence.update({ lat: 37.81, lon: -122.4783 }, sights), // enter again
+  ].map((entered) => entered.length);
+  if (alerts.join('') !== '010001') {
+    error(`Geofence alerted ${alerts.join('')}`);
+    return false;
+  }
+  log('✅ Geofence passed', { alerts: 2 });
+
+  log('Testing autoExploreWait()');
+  const { autoExploreWait } = await import('./search.js');
+  const waits = [
+    autoExploreWait(3.2, 500, 10, 120),
+    autoExploreWait(12, 30.5, 10, 120),
+    autoExploreWait(12, 121, 10, 120),
+  ];
+  if (waits[0] !== '7 km' || waits[1] !== '90s' || waits[2] !== null) {
+    error(`autoExploreWait returned ${waits.join()}`);
+    return false;
+  }
+  log('✅ autoExploreWait passed', { waits: waits.length });
+
+  log('Testing chaseCamera()');
+  const { chaseCamera } = await import('./chase-cam.js');
+  const aircraft = { lat: 37.6, lng: -122.4, altitude: 1000 };
+  const cockpit = chaseCamera(aircraft, 90, 'cockpit');
+  const eye = deadReckon(
+    cockpit.center,
+    cockpit.heading + 180,
+    cockpit.range * Math.sin((cockpit.tilt * Math.PI) / 180),
+    1
+  );
+  const eyeAltitude =
+    cockpit.center.altitude +
+    cockpit.range * Math.cos((cockpit.tilt * Math.PI) / 180);
+  const orbit = chaseCamera(aircraft, 90, 'orbit', 10);
+  if (
+    Math.abs(eye.lat - aircraft.lat) > 1e-5 ||
+    Math.abs(eye.lng - aircraft.lng) > 1e-5 ||
+    Math.abs(eyeAltitude - aircraft.altitude) > 0.01 ||
+    orbit.center.lat !== aircraft.lat ||
+    orbit.heading === 90
+  ) {
+    error('chaseCamera returned an invalid camera');
+    return false;
+  }
+  log('✅ chaseCamera passed', { orbitHeading: orbit.heading });
+
+  log('Testing FlightTrack3D');
+  const { FlightTrack3D } = await import('./track3d.js');
+  const track3D = new FlightTrack3D(null);
+  [
+    { lat: 37.6, lng: -122.4, altitude: 900 },
+    { lat: 37.61, lng: -122.4, altitude: 950 },
+  ].forEach((point) => track3D.add(point, false));
+  [
+    { latitude: 37.62, longitude: -122.4, altitude: 1000 },
+    { latitude: 37.62, longitude: -122.40001, altitude: 1000 },
+    { latitude: 40.6, longitude: -73.8, altitude: 300, replay: true },
+  ].forEach((detail) => track3D.onTelemetry({ detail }));
+  if (
+    track3D.points.length !== 3 ||
+    track3D.points[2].altitude !== 1000 ||
+    track3D.points.some((point) => point.lat > 38)
+  ) {
+    error('FlightTrack3D kept invalid points', track3D.points);
+    return false;
+  }
+  log('✅ FlightTrack3D passed', { points: track3D.points.length });
+
+  log('Testing buildProfile()');
+  const { buildProfile, positionAlong } = await import('./profile.js');
+  const { getElevationAlongPath } = await import('./gmap.js');
+  const flightProfile = buildProfile([
+    { lat: 37.6, lon: -122.4, altitude: 0 },
+    { lat: 37.7, lon: -122.4, altitude: 500 },
+    { lat: 37.9, lon: -122.4, altitude: 1500 },
+  ]);
+  const totalKm = flightProfile[2].along;
+  const halfway = positionAlong(flightProfile, totalKm / 2);
+  const terrainSamples = await getElevationAlongPath(
+    [
+      { lat: 37.6, lng: -122.4 },
+      { lat: 37.9, lng: -122.4 },
+    ],
+    16
+  );
+  if (
+    Math.abs(totalKm - 33.36) > 0.1 ||
+    Math.abs(halfway.lat - 37.75) > 1e-3 ||
+    terrainSamples.length !== 16 ||
+    terrainSamples[15].lat !== 37.9 ||
+    terrainSamples.some((sample) => !(sample.elevation >= 0))
+  ) {
+    error('buildProfile returned an invalid profile');
+    return false;
+  }
+  log('✅ buildProfile passed', { km: totalKm.toFixed(1) });
+
+  log('Testing clusterPoints() / placeLabels()');
+  const { clusterPoints, spiderfyOffsets, placeLabels } = await import(
+    './cluster.js'
+  );
+  const clusters = clusterPoints(
+    [
+      { x: 0, y: 0 },
+      { x: 30, y: 0 },
+      { x: 200, y: 0 },
+      { x: 0, y: 40 },
+    ],
+    60
+  );
+  const spiral = spiderfyOffsets(12, 36);
+  const labelsShown = placeLabels(
+    [
+      { left: 0, top: 0, width: 100, height: 20 },
+      { left: 50, top: 10, width: 100, height: 20 },
+      { left: 120, top: 40, width: 100, height: 20 },
+    ],
+    [{ left: 200, top: 0, width: 24, height: 24 }]
+  );
+  const spiralGaps = spiral
+    .slice(1)
+    .map((o, i) => Math.hypot(o.dx - spiral[i].dx, o.dy - spiral[i].dy));
+  if (
+    clusters.length !== 2 ||
+    clusters[0].members.join() !== '0,1,3' ||
+    Math.abs(clusters[0].x - 10) > 1e-9 ||
+    Math.min(...spiralGaps) < 20 ||
+    labelsShown.join() !== 'true,false,true'
+  ) {
+    error('Marker clustering returned invalid results');
+    return false;
+  }
+  log('✅ Marker clustering passed', { clusters: clusters.length });
+
+  log('Testing categorize()');
+  const { categorize } = await import('./categories.js');
+  const categoryIds = [
+    'KSFO',
+    'International airport',
+    'Historical',
+    'Natural',
+    'Museum',
+    'Bridge',
+    'Tourist attraction',
+    'Restaurant',
+    undefined,
+    'Amusement park',
+    'parking',
+    'national_park',
+  ].map((type) => categorize(type).id);
+  if (
+    categoryIds.join() !==
+    'airport,airport,historical,natural,cultural,architecture,attraction,other,other,attraction,other,natural'
+  ) {
+    error(`categorize returned ${categoryIds.join()}`);
+    return false;
+  }
+  log('✅ categorize passed', { categories: new Set(categoryIds).size });
+
+  log('Testing parseFavorites()');
+  const { parseFavorites, favoriteKey } = await import('./favorites.js');
+  const savedPlaces = parseFavorites(
+    JSON.stringify({
+      favorites: [
+        { name: 'Golden Gate Bridge', lat: '37.8199', lon: -122.4783 },
+        { name: 'Alcatraz', lat: 37.8267, lon: -122.423 },
+        { name: 'Nowhere', lat: 137, lon: 0 },
+        { lat: 37.8, lon: -122.4 },
+      ],
+    })
+  );
+  if (
+    savedPlaces.length !== 2 ||
+    savedPlaces[0].lat !== 37.8199 ||
+    favoriteKey(savedPlaces[0]) !== 'Golden Gate Bridge@37.8199,-122.4783' ||
+    parseFavorites('not json').length !== 0
+  ) {
+    error('parseFavorites returned invalid places');
+    return false;
+  }
+  log('✅ parseFavorites passed', { places: savedPlaces.length });
+
+  log('Testing mergeLandmarks()');
+  const { landmarksNear, mergeLandmarks } = await import(
+    './custom-landmarks.js'
+  );
+  const pins = [
+    { name: 'Our picnic spot', lat: 37.8, lon: -122.47, custom: true },
+    { name: 'Golden Gate Bridge', lat: 37.8199, lon: -122.4783, custom: true },
+    { name: 'Far away', lat: 40.7, lon: -74.0, custom: true },
+  ];
+  const mergedLandmarks = mergeLandmarks(
+    [{ name: 'Golden Gate Bridge' }, { name: 'Alcatraz Island' }],
+    landmarksNear(pins, 37.8, -122.45, 15)
+  );
+  if (
+    mergedLandmarks.map((l) => l.name).join() !==
+      'Our picnic spot,Golden Gate Bridge,Alcatraz Island' ||
+    !mergedLandmarks[1].custom
+  ) {
+    error('mergeLandmarks returned invalid landmarks');
+    return false;
+  }
+  log('✅ mergeLandmarks passed', { landmarks: mergedLandmarks.length });
+
+  log('Testing landmark set formats');
+  const { toGeoJSON, toLandmarkKML, toCSV, parseLandmarkFile } = await import(
+    './landmark-formats.js'
+  );
+  const landmarkSet = {
+    location: 'San Francisco',
+    coordinates: [37.77, -122.42],
+    landmarks: [
+      {
+        name: "Fisherman's Wharf & Pier 39",
+        type: 'Tourist attraction',
+        desc: 'Sea lions, "clam chowder",\nand views',
+        lat: 37.8087,
+        lon: -122.4098,
+      },
+      { name: 'Coit Tower', lat: 37.8024, lon: -122.4058, local: 'Coit Tower' },
+    ],
+  };
+  const roundTrips = [
+    parseLandmarkFile(toGeoJSON(landmarkSet), 'sf.geojson'),
+    parseLandmarkFile(toLandmarkKML(landmarkSet), 'sf.kml'),
+    parseLandmarkFile(toCSV(landmarkSet), 'sf.csv'),
+  ];
+  const malformed = parseLandmarkFile(
+    JSON.stringify({
+      type: 'FeatureCollection',
+      location: {},
+      coordinates: 5,
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: {} } },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-122.4, 37.8] },
+          properties: { name: 'Pier' },
+        },
+      ],
+    }),
+    'bad.geojson'
+  );
+  const noFeatures = parseLandmarkFile('{"features":{}}', 'bad.geojson');
+  const badRoundTrip = roundTrips.find(
+    (parsed) =>
+      parsed.landmarks.length !== 2 ||
+      parsed.landmarks[0].name !== landmarkSet.landmarks[0].name ||
+      parsed.landmarks[0].desc !== landmarkSet.landmarks[0].desc ||
+      parsed.landmarks[1].lon !== -122.4058
+  );
+  if (
+    badRoundTrip ||
+    roundTrips[1].location !== 'San Francisco' ||
+    parseLandmarkFile('Title,Latitude,Longitude\nPier,37.8,-122.4\n').landmarks
+      .length !== 1 ||
+    malformed.coordinates !== undefined ||
+    malformed.location !== undefined ||
+    malformed.landmarks.length !== 1 ||
+    noFeatures.landmarks.length !== 0
+  ) {
+    error('Landmark set formats did not round-trip', badRoundTrip);
+    return false;
+  }
+  log('✅ Landmark set formats passed', { formats: roundTrips.length });
+
+  log('Testing TelemetryHealth');
+  const { TelemetryHealth } = await import('./telemetry-health.js');
+  const health = new TelemetryHealth(5000);
+  const flying = { latitude: 37.6, longitude: -122.4, altitude: 900 };
+  const statuses = [
+    health.update({ ...flying, last_update: 1 }, 0),
+    health.update({ ...flying, latitude: 37.61, last_update: 2 }, 1000),
+    health.update({ ...flying, latitude: 37.61, last_update: 2 }, 7000),
+    health.update(null, 8000),
+    health.update({ connected: false }, 9000),
+    health.update({ ...flying, on_ground: false, last_update: 3 }, 10000),
+    health.update({ ...flying, on_ground: false, last_update: 4 }, 11000),
+    health.update({ ...flying, on_ground: false, last_update: 5 }, 12000),
+    health.update({ ...flying, on_ground: false, last_update: 6 }, 13000),
+    health.check(20000),
+  ];
+  const expectedStatuses = [
+    'ok',
+    'ok',
+    'stale',
+    'server_down',
+    'sim_disconnected',
+    'ok',
+    'ok',
+    'ok',
+    'paused',
+    'stale',
+  ];
+  if (statuses.join() !== expectedStatuses.join()) {
+    error(`TelemetryHealth reported ${statuses.join()}`);
+    return false;
+  }
+  log('✅ TelemetryHealth passed', { status: health.status });
+
+  log('Testing parseTrafficFeed()');
+  const { parseTrafficFeed } = await import('./traffic.js');
+  const fromRelay = parseTrafficFeed(
+    {
+      aircraft: [
+        { id: 'N123AB', callsign: 'N123AB', latitude: 37.6, longitude: -122.4 },
+        { id: 'me', latitude: 37.7, longitude: -122.4 },
+        { id: 'BAD1', latitude: 137, longitude: 0 },
+      ],
+    },
+    'ME'
+  );
+  const keyed = parseTrafficFeed({
+    DAL42: { lat: 33.6, lon: -84.4, track: 90 },
+  });
+  if (
+    fromRelay.length !== 1 ||
+    fromRelay[0].id !== 'N123AB' ||
+    keyed[0]?.callsign !== 'DAL42' ||
+    keyed[0].heading !== 90
+  ) {
+    error('parseTrafficFeed returned invalid aircraft');
+    return false;
+  }
+  log('✅ parseTrafficFeed passed', {
+    aircraft: fromRelay.length + keyed.length,
+  });
+
+  if (isNode) {
+    log('Testing telemetry stand-in server');
+    const { createTelemetryServer } = await import(
+      '../server/telemetry-server.js'
+    );
+    const server = createTelemetryServer({ rateHz: 10 });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const controller = new AbortController();
+    let sample = null;
+    try {
+      const response = await fetch(
+        `http://localhost:${server.address().port}/api/simconnect/stream`,
+        { signal: controller.signal }
+      );
+      const reader = response.body.getReader();
+      const { value } = await reader.read();
+      const message = new TextDecoder().decode(value);
+      sample = JSON.parse(message.match(/^data: (.*)$/m)?.[1] || 'null');
+    } finally {
+      controller.abort();
+      server.closeAllConnections();
+      server.close();
+    }
+    if (!sample?.connected || !sample.latitude || !sample.longitude) {
+      error('Telemetry stream returned invalid data');
+      return false;
+    }
+    log('✅ Telemetry stream passed', { heading: sample.heading.toFixed(1) });
+
+    log('Testing simulator adapters');
+    const { createSimAdapter } = await import('../server/sim-adapters.js');
+    const nmea = createSimAdapter('nmea');
+    nmea.receive(
+      '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A'
+    );
+    nmea.receive(
+      '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47'
+    );
+    nmea.receive('$GPGGA,123520,4900.000,N,01131.000,E,1,08*00'); // bad sum
+    const fix = nmea.sample();
+
+    const xplane = createSimAdapter('xplane');
+    const packet = Buffer.alloc(5 + 36);
+    packet.write('DATA*');
+    packet.writeInt32LE(20, 5);
+    [37.6188, -122.3754, 1000, 990, 0, 1000, -999, -999].forEach((v, i) =>
+      packet.writeFloatLE(v, 9 + i * 4)
+    );
+    xplane.receive(packet);
+    const xp = xplane.sample();
+
+    const flightgear = createSimAdapter('flightgear');
+    flightgear.receive(
+      '37.618800,-122.375400,1000.0,280.0,110.0,112.0,115.0,-8.50,282.0,0,Cessna 172P'
+    );
+    const fg = flightgear.sample();
+
+    if (
+      Math.abs(fix.latitude - 48.1173) > 1e-4 ||
+      Math.abs(fix.longitude - 11.5167) > 1e-4 ||
+      fix.altitude !== 545.4 ||
+      fix.ground_speed !== 22.4 ||
+      Math.abs(xp.latitude - 37.6188) > 1e-4 ||
+      Math.abs(xp.altitude - 304.8) > 0.1 ||
+      fg.vertical_speed !== -510 ||
+      fg.on_ground !== false ||
+      fg.title !== 'Cessna 172P'
+    ) {
+      error('Simulator adapters returned invalid telemetry');
+      return false;
+    }
+    log('✅ Simulator adapters passed', { nmea: fix.track });
+  }
+
   return true;
 }
 
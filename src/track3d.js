@@ -0,0 +1,103 @@
+/* eslint-disable no-undef */
+/**
+ * Flown track in the photorealistic 3D view
+ * draws the breadcrumb trail and the samples received while the view is
+ * open as an altitude-true polyline, optionally extruded to the ground
+ */
+
+import { distance_km } from './utils.js';
+
+const TRACK_COLOR = '#FF6D00';
+const MIN_DISTANCE_KM = 0.01; // skip samples while parked
+const MAX_POINTS = 3600;
+const REDRAW_MS = 1000; // redraw at most once per second
+
+export class FlightTrack3D {
+  /**
+   * @param {HTMLElement} map3DElement - Map3DElement to draw into
+   */
+  constructor(map3DElement) {
+    this.map3D = map3DElement;
+    this.points = [];
+    this.polyline = null;
+    this.extruded = false;
+    this.lastDraw = 0;
+    this.onTelemetry = (event) => {
+      const data = event.detail;
+      if (data.replay) return; // a replay is another flight
+      this.add({
+        lat: data.latitude,
+        lng: data.longitude,
+        altitude: data.altitude || 0,
+      });
+    };
+  }
+
+  /**
+   * Draw the track and keep extending it with telemetry
+   * @param {Array} trail - Points flown so far {lat, lng, altitude}
+   */
+  async start(trail = []) {
+    const { Polyline3DElement, AltitudeMode } =
+      await google.maps.importLibrary('maps3d');
+    this.polyline = new Polyline3DElement({
+      altitudeMode: AltitudeMode.ABSOLUTE,
+      strokeColor: TRACK_COLOR,
+      strokeWidth: 4,
+      outerColor: 'white',
+      outerWidth: 0.3,
+      extruded: this.extruded,
+      drawsOccludedSegments: true, // keep the track visible behind terrain
+    });
+    this.map3D.appendChild(this.polyline);
+
+    trail.forEach((point) => this.add(point, false));
+    this.draw();
+    window.addEventListener('SimConnect_telemetry', this.onTelemetry);
+  }
+
+  stop() {
+    window.removeEventListener('SimConnect_telemetry', this.onTelemetry);
+    this.polyline?.remove();
+    this.polyline = null;
+    this.points = [];
+  }
+
+  /**
+   * Append a point, skipping those too close to the last one
+   * @param {Object} point - {lat, lng, altitude} with altitude in meters
+   * @param {boolean} redraw - Update the polyline
+   */
+  add(point, redraw = true) {
+    const last = this.points[this.points.length - 1];
+    if (
+      last &&
+      distance_km(last.lat, last.lng, point.lat, point.lng) < MIN_DISTANCE_KM
+    )
+      return;
+
+    this.points.push({
+      lat: point.lat,
+      lng: point.lng,
+      altitude: point.altitude || 0,
+    });
+    if (this.points.length > MAX_POINTS) this.points.shift();
+    if (redraw && Date.now() - this.lastDraw >= REDRAW_MS) this.draw();
+  }
+
+  draw() {
+    if (!this.polyline || this.points.length < 2) return;
+    this.polyline.coordinates = [...this.points];
+    this.lastDraw = Date.now();
+  }
+
+  /**
+   * Toggle the curtain from the track down to the ground
+   * @returns {boolean} Whether the track is extruded
+   */
+  toggleExtruded() {
+    this.extruded = !this.extruded;
+    if (this.polyline) this.polyline.extruded = this.extruded;
+    return this.extruded;
+  }
+}
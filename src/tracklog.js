@@ -0,0 +1,232 @@
+import { escapeHTML, bearing_deg } from './utils.js';
+
+/**
+ * Track log file formats for recorded flights
+ * Samples are {lat, lon, alt, hdg, t} with altitude in meters and
+ * t as epoch milliseconds
+ */
+
+/**
+ * Export samples as a GPX 1.1 track
+ * @param {Array} samples - Recorded flight samples
+ * @param {string} name - Track name
+ * @returns {string} GPX document
+ */
+export function toGPX(samples, name = 'Flight') {
+  const points = samples
+    .map(
+      (s) =>
+        `      <trkpt lat="${s.lat.toFixed(6)}" lon="${s.lon.toFixed(6)}">` +
+        `<ele>${s.alt.toFixed(1)}</ele>` +
+        `<time>${new Date(s.t).toISOString()}</time></trkpt>`
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Mini Moving Map" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${escapeHTML(name)}</name>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * Export samples as a KML line string extruded to the ground
+ * @param {Array} samples - Recorded flight samples
+ * @param {string} name - Placemark name
+ * @returns {string} KML document
+ */
+export function toKML(samples, name = 'Flight') {
+  const coordinates = samples
+    .map((s) => `${s.lon.toFixed(6)},${s.lat.toFixed(6)},${s.alt.toFixed(1)}`)
+    .join('\n          ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHTML(name)}</name>
+    <Style id="track">
+      <LineStyle><color>ff0000ff</color><width>3</width></LineStyle>
+      <PolyStyle><color>4d0000ff</color></PolyStyle>
+    </Style>
+    <Placemark>
+      <name>${escapeHTML(name)}</name>
+      <styleUrl>#track</styleUrl>
+      <LineString>
+        <extrude>1</extrude>
+        <tessellate>1</tessellate>
+        <altitudeMode>absolute</altitudeMode>
+        <coordinates>
+          ${coordinates}
+        </coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Format a coordinate as IGC degrees + minutes with 3 decimals
+ * e.g. 37.6188 -> 3737128N
+ */
+function igcCoord(value, degDigits, pos, neg) {
+  const hemisphere = value < 0 ? neg : pos;
+  const abs = Math.abs(value);
+  let deg = Math.floor(abs);
+  let milliMinutes = Math.round((abs - deg) * 60000);
+  if (milliMinutes === 60000) {
+    deg += 1;
+    milliMinutes = 0;
+  }
+  return (
+    String(deg).padStart(degDigits, '0') +
+    String(milliMinutes).padStart(5, '0') +
+    hemisphere
+  );
+}
+
+function igcAltitude(meters) {
+  const alt = Math.round(meters);
+  return alt < 0
+    ? '-' + String(-alt).padStart(4, '0')
+    : String(alt).padStart(5, '0');
+}
+
+function igcTime(date) {
+  return [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    .map((n) => String(n).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Export samples as an IGC flight recorder file
+ * @param {Array} samples - Recorded flight samples
+ * @param {Object} meta - Optional {pilot, aircraft} header values
+ * @returns {string} IGC file content
+ */
+export function toIGC(samples, meta = {}) {
+  const start = new Date(samples.length ? samples[0].t : Date.now());
+  const date = [
+    start.getUTCDate(),
+    start.getUTCMonth() + 1,
+    start.getUTCFullYear() % 100,
+  ]
+    .map((n) => String(n).padStart(2, '0'))
+    .join('');
+
+  const lines = [
+    'AXXXMMM Mini Moving Map',
+    `HFDTEDATE:${date},01`,
+    `HFPLTPILOTINCHARGE:${meta.pilot || ''}`,
+    `HFGTYGLIDERTYPE:${meta.aircraft || ''}`,
+    'HFDTMGPSDATUM:WGS84',
+  ];
+  for (const s of samples) {
+    // Simulator altitude is reported for both pressure and GNSS altitude
+    const alt = igcAltitude(s.alt);
+    lines.push(
+      `B${igcTime(new Date(s.t))}${igcCoord(s.lat, 2, 'N', 'S')}` +
+        `${igcCoord(s.lon, 3, 'E', 'W')}A${alt}${alt}`
+    );
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Fill in missing headings from the bearing between consecutive samples
+ * @param {Array} samples - Parsed track samples
+ * @returns {Array} The same samples, sorted by time
+ */
+function withHeadings(samples) {
+  samples.sort((a, b) => a.t - b.t);
+  for (let i = 0; i < samples.length; i++) {
+    if (samples[i].hdg != null) continue;
+    const a = samples[Math.max(0, i - 1)];
+    const b = samples[Math.min(samples.length - 1, i + 1)];
+    samples[i].hdg =
+      a === b ? 0 : Math.round(bearing_deg(a.lat, a.lon, b.lat, b.lon));
+  }
+  return samples;
+}
+
+/**
+ * Parse track points from a GPX document
+ * @param {string} text - GPX content
+ * @returns {Array} Track samples
+ */
+export function parseGPX(text) {
+  const samples = [];
+  const trkpts = text.matchAll(/<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g);
+  for (const [, attrs, body = ''] of trkpts) {
+    const lat = parseFloat(attrs.match(/\blat=["']([^"']+)/)?.[1]);
+    const lon = parseFloat(attrs.match(/\blon=["']([^"']+)/)?.[1]);
+    const ele = body.match(/<ele>([^<]+)<\/ele>/)?.[1];
+    const time = body.match(/<time>([^<]+)<\/time>/)?.[1];
+    if (isNaN(lat) || isNaN(lon) || !time) continue;
+    samples.push({
+      lat,
+      lon,
+      alt: ele ? parseFloat(ele) : 0,
+      hdg: null,
+      t: Date.parse(time),
+    });
+  }
+  return withHeadings(samples.filter((s) => !isNaN(s.t)));
+}
+
+/**
+ * Parse B records from an IGC file
+ * @param {string} text - IGC content
+ * @returns {Array} Track samples
+ */
+export function parseIGC(text) {
+  const samples = [];
+  const date = text.match(/^HFDTE(?:DATE:)?(\d{2})(\d{2})(\d{2})/m);
+  const day = date
+    ? Date.UTC(
+        2000 + parseInt(date[3]),
+        parseInt(date[2]) - 1,
+        parseInt(date[1])
+      )
+    : Date.UTC(2000, 0, 1);
+  let dayOffset = 0;
+  let lastSeconds = -1;
+
+  const bRecord =
+    /^B(\d{2})(\d{2})(\d{2})(\d{2})(\d{5})([NS])(\d{3})(\d{5})([EW])[AV]([-\d]{5})([-\d]{5})/;
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(bRecord);
+    if (!m) continue;
+    const seconds = +m[1] * 3600 + +m[2] * 60 + +m[3];
+    if (seconds < lastSeconds) dayOffset += 86400; // past midnight UTC
+    lastSeconds = seconds;
+
+    const lat = (+m[4] + +m[5] / 60000) * (m[6] === 'S' ? -1 : 1);
+    const lon = (+m[7] + +m[8] / 60000) * (m[9] === 'W' ? -1 : 1);
+    const gnssAlt = parseInt(m[11]);
+    samples.push({
+      lat,
+      lon,
+      alt: gnssAlt || parseInt(m[10]),
+      hdg: null,
+      t: day + (dayOffset + seconds) * 1000,
+    });
+  }
+  return withHeadings(samples);
+}
+
+/**
+ * Parse a GPX or IGC track file
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to detect the format
+ * @returns {Array} Track samples
+ */
+export function parseTrackFile(text, filename = '') {
+  if (/\.igc$/i.test(filename) || /^A\w{3}/.test(text)) return parseIGC(text);
+  return parseGPX(text);
+}
@@ -0,0 +1,278 @@
+/* eslint-disable no-undef */
+/**
+ * Group traffic on the moving map
+ * shows other aircraft from a relay (server/traffic-relay.js) or a shared
+ * JSON feed, each with its own marker, color, callsign label and trail,
+ * and shares the own position with the relay under the CALLSIGN setting
+ */
+
+import { createAircraftMarker } from './simconnect.js';
+import {
+  getConfig,
+  getSettings,
+  handleError,
+  validateCoords,
+} from './utils.js';
+import { i18n } from './lion.js';
+import { toast } from './components.js';
+
+const TRAFFIC_ENABLED_KEY = 'TRAFFIC_ENABLED';
+const STALE_S = 60; // drop aircraft without a newer position
+const TRAIL_MAX_POINTS = 600;
+const TRAFFIC_COLORS = [
+  '#D81B60',
+  '#8E24AA',
+  '#00897B',
+  '#F4511E',
+  '#3949AB',
+  '#6D4C41',
+  '#43A047',
+  '#546E7A',
+];
+
+/**
+ * Normalize a traffic feed into a list of aircraft
+ * @param {Array|Object} data - Array of aircraft, {aircraft: [...]}, or
+ *   aircraft keyed by ID, each in the telemetry format plus {id, callsign}
+ * @param {string} [ownId] - Own callsign, left out of the list
+ * @returns {Array} Aircraft {id, callsign, latitude, longitude, altitude,
+ *   heading, ground_speed, last_update}
+ */
+export function parseTrafficFeed(data, ownId = null) {
+  const list = Array.isArray(data)
+    ? data.map((entry) => [null, entry])
+    : Array.isArray(data?.aircraft)
+      ? data.aircraft.map((entry) => [null, entry])
+      : Object.entries(data || {});
+
+  const own = ownId?.trim().toLowerCase();
+  const aircraft = [];
+  for (const [key, entry] of list) {
+    const id = String(entry?.id ?? key ?? entry?.callsign ?? '').trim();
+    const latitude = entry?.latitude ?? entry?.lat;
+    const longitude = entry?.longitude ?? entry?.lon ?? entry?.lng;
+    if (!id || id.toLowerCase() === own) continue;
+    if (!validateCoords(latitude, longitude)) continue;
+
+    aircraft.push({
+      id,
+      callsign: entry.callsign || id,
+      latitude,
+      longitude,
+      altitude: entry.altitude ?? null,
+      heading: entry.heading ?? entry.track ?? 0,
+      ground_speed: entry.ground_speed ?? null,
+      last_update: entry.last_update ?? null,
+    });
+  }
+  return aircraft;
+}
+
+/**
+ * Stable color for an aircraft ID
+ * @param {string} id - Aircraft ID
+ * @returns {string} CSS color
+ */
+function trafficColor(id) {
+  let hash = 0;
+  for (const char of id) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return TRAFFIC_COLORS[Math.abs(hash) % TRAFFIC_COLORS.length];
+}
+
+class TrafficDisplay {
+  constructor() {
+    this.aircraft = new Map(); // id -> {data, marker, trail, color}
+    this.enabled = localStorage.getItem(TRAFFIC_ENABLED_KEY) === 'true';
+    this.url = null;
+    this.interval = 2;
+    this.timer = null;
+    this.lastShared = 0;
+    this.shareFailed = false;
+  }
+
+  /**
+   * Read the feed settings, share the own position and resume the display
+   */
+  async init() {
+    const config = await getConfig();
+    if (config?.defaults?.traffic_interval_s)
+      this.interval = config.defaults.traffic_interval_s;
+    this.defaultUrl = config?.defaults?.traffic_url || null;
+
+    window.addEventListener('SimConnect_telemetry', (event) => {
+      this.share(event.detail);
+    });
+    if (this.enabled) this.start();
+  }
+
+  /**
+   * Feed URL from the TRAFFIC_URL setting, or the traffic_url config default
+   */
+  feedUrl() {
+    return getSettings().TRAFFIC_URL?.trim() || this.defaultUrl;
+  }
+
+  callsign() {
+    return getSettings().CALLSIGN?.trim() || null;
+  }
+
+  toggle() {
+    if (this.timer) {
+      this.stop();
+    } else if (!this.start()) {
+      handleError(i18n.t('errors.no_traffic_feed'));
+      return;
+    }
+    toast.show({
+      title: i18n.t(this.timer ? 'app.traffic_on' : 'app.traffic_off'),
+    });
+  }
+
+  /**
+   * Start polling the traffic feed
+   * @returns {boolean} Whether a feed is configured
+   */
+  start() {
+    this.url = this.feedUrl();
+    if (!this.url) return false;
+
+    this.enabled = true;
+    localStorage.setItem(TRAFFIC_ENABLED_KEY, true);
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.poll(), this.interval * 1000);
+    this.poll();
+    console.log(`👥 Group traffic from ${this.url}`);
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.enabled = false;
+    localStorage.setItem(TRAFFIC_ENABLED_KEY, false);
+    this.clear();
+  }
+
+  async poll() {
+    try {
+      const response = await fetch(this.url, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`Traffic feed: ${response.status}`);
+      await this.update(
+        parseTrafficFeed(await response.json(), this.callsign())
+      );
+    } catch (err) {
+      console.warn('Failed to fetch traffic:', err.message);
+    }
+  }
+
+  /**
+   * Show the latest aircraft positions and remove departed aircraft
+   * @param {Array} aircraft - Aircraft from parseTrafficFeed()
+   */
+  async update(aircraft) {
+    if (!this.timer || !window.mapInstance) return;
+
+    const now = Date.now() / 1000;
+    const current = new Set();
+    for (const data of aircraft) {
+      if (data.last_update && now - data.last_update > STALE_S) continue;
+      current.add(data.id);
+      await this.show(data);
+    }
+    for (const id of this.aircraft.keys()) {
+      if (!current.has(id)) this.remove(id);
+    }
+  }
+
+  /**
+   * Move or create the marker and trail of one aircraft
+   * @param {Object} data - Aircraft from parseTrafficFeed()
+   */
+  async show(data) {
+    const position = { lat: data.latitude, lng: data.longitude };
+    let entry = this.aircraft.get(data.id);
+    if (!entry) {
+      const color = trafficColor(data.id);
+      entry = { data, color, marker: null, trail: null };
+      this.aircraft.set(data.id, entry);
+      entry.marker = await createAircraftMarker(position, data.heading, {
+        color,
+        label: data.callsign,
+        title: i18n.t('tooltips.traffic_marker', { callsign: data.callsign }),
+        zIndex: 998, // below the own aircraft and trail
+        getPosition: () => ({
+          lat: entry.data.latitude,
+          lng: entry.data.longitude,
+        }),
+      });
+      if (this.aircraft.get(data.id) !== entry) {
+        entry.marker.map = null; // removed while the marker was created
+        return;
+      }
+      entry.trail = new google.maps.Polyline({
+        map: window.mapInstance,
+        path: [],
+        strokeColor: color,
+        strokeOpacity: 0.6,
+        strokeWeight: 2,
+        clickable: false,
+      });
+    }
+    entry.data = data;
+    if (!entry.marker) return; // still being created by an earlier poll
+    entry.marker.position = position;
+
+    const iconDiv = entry.marker.content.querySelector('div');
+    if (iconDiv) {
+      const mapHeading = window.mapInstance.getHeading() || 0;
+      iconDiv.style.transform = `rotate(${data.heading - mapHeading}deg)`;
+    }
+
+    const path = entry.trail.getPath();
+    path.push(new google.maps.LatLng(position.lat, position.lng));
+    if (path.getLength() > TRAIL_MAX_POINTS) path.removeAt(0);
+  }
+
+  remove(id) {
+    const entry = this.aircraft.get(id);
+    if (!entry) return;
+    if (entry.marker) entry.marker.map = null;
+    entry.trail?.setMap(null);
+    this.aircraft.delete(id);
+  }
+
+  clear() {
+    [...this.aircraft.keys()].forEach((id) => this.remove(id));
+  }
+
+  /**
+   * Post the own live position to the relay, once per poll interval
+   * @param {Object} aircraftData - Telemetry data from SimConnect
+   */
+  async share(aircraftData) {
+    const callsign = this.callsign();
+    if (!this.timer || !callsign || aircraftData.replay) return;
+    if (Date.now() - this.lastShared < this.interval * 1000) return;
+    this.lastShared = Date.now();
+
+    try {
+      const response = await fetch(
+        `${this.url.replace(/\/$/, '')}/${encodeURIComponent(callsign)}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...aircraftData, callsign }),
+        }
+      );
+      if (!response.ok) throw new Error(`Traffic relay: ${response.status}`);
+      this.shareFailed = false;
+    } catch (err) {
+      // A read-only shared feed rejects posts, only warn once
+      if (!this.shareFailed)
+        console.warn('Failed to share position:', err.message);
+      this.shareFailed = true;
+    }
+  }
+}
+
+export const traffic = new TrafficDisplay();
@@ -199,6 +199,24 @@ export function distance_km(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
+/**
+ * Calculate initial great-circle bearing from the first to the second coordinate
+ * @param {number} lat1 - First latitude
+ * @param {number} lng1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lng2 - Second longitude
+ * @returns {number} - Bearing in degrees [0, 360)
+ */
+export function bearing_deg(lat1, lng1, lat2, lng2) {
+  const toRad = Math.PI / 180;
+  const dLng = (lng2 - lng1) * toRad;
+  const y = Math.sin(dLng) * Math.cos(lat2 * toRad);
+  const x =
+    Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+    Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
 /**
  * Normalize longitude values to the range [-180, 180]
  * @param {number} lng - Raw longitude value
@@ -210,6 +228,23 @@ export function normalizeLng(lng) {
   return lng;
 }
 
+/**
+ * Save text content as a file download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Toggle the loading spinner
  * @param {boolean} isLoading - Whether to show the spinner
@@ -14,6 +14,7 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:5000',
         changeOrigin: true,
+        ws: true, // WebSocket telemetry stream
       },
     },
   },